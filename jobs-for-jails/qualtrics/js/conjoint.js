@@ -11,177 +11,1462 @@ Qualtrics.SurveyEngine.addOnload(function() {
     // CONJOINT DESIGN CONFIGURATION
     // ==============================================================================
     
+    // The canonical design is qualtrics/conjoint_design.json, which is also read
+    // by scripts/04_conjoint_analysis.R. When the survey provides it (see
+    // EXTERNAL DESIGN below) it replaces the inline copy of the design and
+    // restrictions that follows; keep the two in sync.
+    //
+    // `shortName` names the attribute's embedded-data fields (taskN_A_<shortName>,
+    // taskN_B_<shortName>, ...); each one must be declared in Survey Flow.
+    // Each attribute may carry an optional `weights` array, parallel to `levels`,
+    // to draw levels with unequal probability (e.g. weights: [1, 1, 1, 2]
+    // oversamples the fourth level). Weights are relative and need not sum to 1.
+    // Attributes without weights are drawn uniformly.
+    // `codes`, also parallel to `levels`, gives each level a stable code that is
+    // stored with the profile (taskN_A_codes) and listed in the codebook
+    // (tools/export_codebook.js). A level keeps its code when its wording is
+    // edited; a new level gets a new code, and codes are never reused.
     var conjointDesign = {
         
         // Attribute 1: Target Type
         target_type: {
             label: "Target of Enforcement",
+            shortName: "target",
             levels: [
                 "Undocumented workers at a local business",
                 "Individuals with prior criminal convictions",
                 "Families in a residential neighborhood",
                 "Individuals at a courthouse"
-            ]
+            ],
+            codes: ["target_type:1", "target_type:2", "target_type:3", "target_type:4"],
+            translations: {
+                es: {
+                    label: "Objetivo de la operación",
+                    levels: [
+                        "Trabajadores indocumentados en un negocio local",
+                        "Personas con condenas penales previas",
+                        "Familias en un barrio residencial",
+                        "Personas en un juzgado"
+                    ]
+                }
+            }
         },
         
         // Attribute 2: Economic Impact
         economic_impact: {
             label: "Economic Impact",
+            shortName: "economic",
             levels: [
                 "Will create 50 local jobs through increased enforcement",
                 "Will have no effect on local employment",
                 "May result in the loss of 50 local jobs"
-            ]
+            ],
+            codes: ["economic_impact:1", "economic_impact:2", "economic_impact:3"],
+            translations: {
+                es: {
+                    label: "Impacto económico",
+                    levels: [
+                        "Creará 50 empleos locales mediante un mayor control migratorio",
+                        "No tendrá ningún efecto en el empleo local",
+                        "Podría provocar la pérdida de 50 empleos locales"
+                    ]
+                }
+            }
         },
         
         // Attribute 3: Enforcement Method
         enforcement_method: {
             label: "Enforcement Method",
+            shortName: "method",
             levels: [
                 "Workplace inspection with advance notice",
                 "Unannounced workplace raid",
                 "Home visits by ICE agents",
                 "Arrests at public locations"
-            ]
+            ],
+            codes: ["enforcement_method:1", "enforcement_method:2", "enforcement_method:3", "enforcement_method:4"],
+            translations: {
+                es: {
+                    label: "Método de control",
+                    levels: [
+                        "Inspección del lugar de trabajo con aviso previo",
+                        "Redada sin previo aviso en el lugar de trabajo",
+                        "Visitas a domicilio por agentes de ICE",
+                        "Arrestos en lugares públicos"
+                    ]
+                }
+            }
         },
         
         // Attribute 4: Federal Funding
         federal_funding: {
             label: "Federal Funding to County",
+            shortName: "funding",
             levels: [
                 "County will receive $5 million in federal funding",
                 "County will receive $500,000 in federal funding",
                 "No additional federal funding"
-            ]
+            ],
+            codes: ["federal_funding:1", "federal_funding:2", "federal_funding:3"],
+            translations: {
+                es: {
+                    label: "Fondos federales para el condado",
+                    levels: [
+                        "El condado recibirá $5 millones en fondos federales",
+                        "El condado recibirá $500,000 en fondos federales",
+                        "Sin fondos federales adicionales"
+                    ]
+                }
+            }
         },
         
         // Attribute 5: Local Police Cooperation
         local_cooperation: {
             label: "Local Police Involvement",
+            shortName: "cooperation",
             levels: [
                 "Local police will assist ICE",
                 "Local police will not assist but won't interfere",
                 "Local police prohibited from assisting ICE"
-            ]
+            ],
+            codes: ["local_cooperation:1", "local_cooperation:2", "local_cooperation:3"],
+            translations: {
+                es: {
+                    label: "Participación de la policía local",
+                    levels: [
+                        "La policía local ayudará a ICE",
+                        "La policía local no ayudará, pero tampoco interferirá",
+                        "Se prohíbe a la policía local ayudar a ICE"
+                    ]
+                }
+            }
         }
     };
     
-    // Get current task number (1-5)
-    var taskNumber = parseInt("${e://Field/conjoint_task}") || 1;
+    // ==============================================================================
+    // DESIGN RESTRICTIONS
+    // ==============================================================================
+    
+    // Rules that rule out implausible attribute combinations. Three rule types:
+    //   forbid      - the listed levels may never appear together in one profile
+    //   require     - when every level in `if` is present, the profile must also
+    //                 contain one of the `then` levels
+    //   conditional - the listed `levels` of `attribute` are only available when
+    //                 the profile matches `onlyIf`
+    // Any value may be a single level or an array of acceptable levels. The rule
+    // ids are stored in embedded data (conjoint_restrictions) so the analysis can
+    // estimate AMCEs for the restricted design. Inline copy of the
+    // `restrictions` in qualtrics/conjoint_design.json.
+    var conjointRestrictions = [
+        
+        // Workplace enforcement only makes sense for targets found at a workplace
+        {
+            id: "workplace_methods_need_workplace_target",
+            type: "conditional",
+            attribute: "enforcement_method",
+            levels: [
+                "Workplace inspection with advance notice",
+                "Unannounced workplace raid"
+            ],
+            onlyIf: {
+                target_type: [
+                    "Undocumented workers at a local business",
+                    "Individuals with prior criminal convictions"
+                ]
+            }
+        },
+        
+        // Courthouse arrests happen in public
+        {
+            id: "courthouse_public_arrests",
+            type: "require",
+            if: { target_type: "Individuals at a courthouse" },
+            then: { enforcement_method: "Arrests at public locations" }
+        },
+        
+        // Workers identified at their business are not visited at home
+        {
+            id: "workers_no_home_visits",
+            type: "forbid",
+            levels: {
+                target_type: "Undocumented workers at a local business",
+                enforcement_method: "Home visits by ICE agents"
+            }
+        }
+    ];
     
     // ==============================================================================
-    // RANDOMIZATION FUNCTIONS
+    // EXTERNAL DESIGN
     // ==============================================================================
     
-    // Fisher-Yates shuffle
-    function shuffle(array) {
-        var currentIndex = array.length, temporaryValue, randomIndex;
-        while (0 !== currentIndex) {
-            randomIndex = Math.floor(Math.random() * currentIndex);
-            currentIndex -= 1;
-            temporaryValue = array[currentIndex];
-            array[currentIndex] = array[randomIndex];
-            array[randomIndex] = temporaryValue;
+    // Read the design JSON from an element with id "conjoint-design-json" (a
+    // <script type="application/json"> in the survey header or the text of a
+    // hidden question on the same page) or from the conjoint_design_json
+    // embedded-data field. Returns null if none is provided or it is invalid.
+    function loadExternalDesign() {
+        var raw = null;
+        var source = null;
+        var element = document.getElementById('conjoint-design-json');
+        if (element) {
+            raw = element.textContent;
+            source = "element";
+        } else {
+            // Not piped: the quotes in the JSON would end the JS string
+            raw = EmbeddedData.get('conjoint_design_json', null);
+            source = "embedded_data";
+        }
+        if (!raw) {
+            return null;
+        }
+        
+        try {
+            var parsed = ConjointEngine.parseDesign(JSON.parse(raw));
+            parsed.source = source;
+            return parsed;
+        } catch (e) {
+            console.warn('Conjoint: design JSON from ' + source + ' is unusable (' + e.message + '); using the inline design');
+            return null;
         }
-        return array;
     }
     
-    // Get random element from array
-    function getRandomElement(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    var designSource = "inline";
+    var designId = "";
+    var externalDesign = loadExternalDesign();
+    if (externalDesign) {
+        conjointDesign = externalDesign.design;
+        conjointRestrictions = externalDesign.restrictions;
+        designSource = externalDesign.source;
+        designId = externalDesign.id;
     }
     
-    // Generate a single profile
-    function generateProfile() {
-        var profile = {};
-        for (var attr in conjointDesign) {
-            profile[attr] = getRandomElement(conjointDesign[attr].levels);
+    // ==============================================================================
+    // SETTINGS
+    // ==============================================================================
+    
+    var conjointSettings = {
+        
+        // Choice tasks per respondent; conjoint_n_tasks in embedded data, when
+        // set, takes precedence
+        nTasks: 5,
+        
+        // Maximum number of draws before giving up on a profile that satisfies
+        // every restriction, and on a task whose profiles satisfy the
+        // uniqueness rules below
+        maxProfileDraws: 1000,
+        
+        // Profiles within a task must differ on at least this many attributes
+        // (of those shown, with partial profiles)
+        minDifferences: 1,
+        
+        // Partial profiles: show only this many attributes per task, a random
+        // subset drawn for each task (0 shows all). The subset is stored in
+        // taskN_shown and hidden attributes as "not shown". Overridden by
+        // conjoint_attributes_per_task in embedded data, when set.
+        attributesPerTask: 0,
+        
+        // "respondent": shuffle the attribute order once (on the first task) and
+        //               keep it for all tasks (Hainmueller et al. 2014)
+        // "task":       reshuffle the attribute order on every task
+        attributeOrderMode: "respondent",
+        
+        // Profiles shown side by side in each task (2-6). The Qualtrics question
+        // needs one choice per profile: Option A, Option B, Option C, ...
+        nProfiles: 2,
+        
+        // Ask for a support rating of each profile below its column, in addition
+        // to the forced choice. Ratings are stored as taskN_A_rating, ... and the
+        // page cannot advance until every profile is rated.
+        collectRatings: true,
+        ratingPoints: 7,
+        
+        // "auto":  stacked profile cards on screens up to cardBreakpoint pixels
+        //         wide, the side-by-side table otherwise
+        // "table" or "cards": always use that layout
+        // The layout shown is stored in taskN_layout.
+        layout: "auto",
+        cardBreakpoint: 600,
+        
+        // Record response times and per-attribute hover/touch dwell times
+        // (taskN_first_click_ms, taskN_submit_ms, taskN_dwell, taskN_dwell_input)
+        collectParadata: true,
+        
+        // Highlight the rows on which the profiles differ:
+        //   "off" or "on": the same for every respondent
+        //   "random":      half of respondents, assigned once and kept for
+        //                  all tasks (a value of conjoint_highlight set in
+        //                  Survey Flow takes precedence)
+        // The condition is stored in conjoint_highlight (1/0).
+        highlightDifferences: "random",
+        
+        // Colors of the table and cards:
+        //   "standard": the default palette
+        //   "high":     black text on white, black borders and a stronger
+        //               highlight (WCAG AAA contrast)
+        //   "auto":     high contrast for respondents whose system asks for it
+        //               (prefers-contrast: more, or forced colors)
+        // A value of conjoint_high_contrast (1/0) set in Survey Flow, e.g. from
+        // an accessibility question, takes precedence; the palette shown is
+        // stored there.
+        contrast: "auto",
+        
+        // Show a "Choose this option" button under each profile and hide the
+        // question's own choices. A button selects the matching Qualtrics
+        // choice (Option A = first choice, ...), so the choice exports as usual.
+        inTableChoice: true,
+        
+        // Reliability check: show an earlier task again as an extra last task
+        // (task nTasks + 1; the survey needs one more conjoint question).
+        //   sourceTask:   the task to repeat
+        //   swapProfiles: true, false or "random" - reverse the profile order
+        //                 (A/B shown as B/A) in the repeat
+        repeatTask: {
+            enabled: false,
+            sourceTask: 1,
+            swapProfiles: "random"
+        },
+        
+        // Where per-task data is stored:
+        //   "fields": one embedded-data field per value (taskN_A_target, ...)
+        //   "log":    one JSON entry per task in the single conjoint_log field
+        //             (decode with scripts/conjoint_log.R)
+        //   "both":   both
+        // conjoint_storage in embedded data, when set, takes precedence.
+        // logMaxChars caps the stored (URI-encoded) log; a task that does not
+        // fit is logged without dwell times, or not at all (see conjoint_error).
+        storage: "fields",
+        logMaxChars: 10000
+    };
+    
+    // ==============================================================================
+    // INTERFACE TEXT
+    // ==============================================================================
+    
+    // Text shown to respondents, by locale (requires locale.js in the survey
+    // header). The locale follows the survey language (Q_Lang), falls back to
+    // English and is stored in conjoint_locale. Attribute labels and levels are
+    // translated in the design (`translations` of each attribute); the stored
+    // levels stay in English.
+    var conjointStrings = {
+        en: {
+            taskCounter: "Task {task} of {total}",
+            instructions: "Please review the {n} immigration enforcement scenarios below and indicate which one you would support:",
+            numbers: ['zero', 'one', 'two', 'three', 'four', 'five', 'six'],
+            attributeHeader: "Attribute",
+            option: "Option {label}",
+            ratingPrompt: "How much would you support each scenario? (1 = Strongly oppose, {points} = Strongly support)",
+            choose: "Choose this option",
+            highlightNote: "Highlighted rows show where the options differ.",
+            caption: "Task {task} of {total}: {options}, compared on each attribute",
+            and: "and",
+            differs: "(differs between the options)",
+            ratingFor: "Rating of {option}",
+            chooseOption: "Choose this option ({option})",
+            yourCounty: "your county"
+        },
+        es: {
+            taskCounter: "Tarea {task} de {total}",
+            instructions: "Por favor, revise los {n} escenarios de control migratorio a continuación e indique cuál apoyaría:",
+            numbers: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis'],
+            attributeHeader: "Característica",
+            option: "Opción {label}",
+            ratingPrompt: "¿Cuánto apoyaría cada escenario? (1 = Muy en contra, {points} = Muy a favor)",
+            choose: "Elegir esta opción",
+            highlightNote: "Las filas resaltadas muestran en qué se diferencian las opciones.",
+            caption: "Tarea {task} de {total}: {options}, comparadas en cada característica",
+            and: "y",
+            differs: "(es diferente entre las opciones)",
+            ratingFor: "Valoración de la {option}",
+            chooseOption: "Elegir esta opción ({option})",
+            yourCounty: "su condado"
+        }
+    };
+    
+    var locale = Locale.pick(EmbeddedData.get('Q_Lang', "${e://Field/Q_Lang}", 'EN'), conjointStrings);
+    var t = Locale.translator(conjointStrings, locale);
+    
+    function translation(attr) {
+        var translations = conjointDesign[attr].translations;
+        return translations && translations[locale] ? translations[locale] : null;
+    }
+    
+    // Attribute label in the respondent's locale
+    function attributeLabel(attr) {
+        return translation(attr) ? translation(attr).label : conjointDesign[attr].label;
+    }
+    
+    // Level in the respondent's locale (before placeholders are filled in)
+    function translatedLevel(attr, level) {
+        var index = conjointDesign[attr].levels.indexOf(level);
+        return translation(attr) && index !== -1 ? translation(attr).levels[index] : level;
+    }
+    
+    // ==============================================================================
+    // LEVEL PLACEHOLDERS
+    // ==============================================================================
+    
+    // Levels may contain placeholders that are filled in from embedded data when
+    // the profile is shown, e.g. "Will create {jobs} local jobs in {county}":
+    //   {county}  respondent_county ("your county" if not set)
+    //   {jobs}    jobs scaled to respondent_county_pop: 50 per 100,000 residents,
+    //             rounded to 5 and kept between 10 and 500 (50 if not set)
+    // The engine draws, restricts and compares the design level (with its
+    // placeholders), and that is what taskN_A_<shortName> stores; for attributes
+    // that use placeholders the text shown is stored in taskN_A_<shortName>_text.
+    var countyPopulation = EmbeddedData.get('respondent_county_pop', "${e://Field/respondent_county_pop}", 0);
+    
+    function scaledJobs(population) {
+        if (!(population > 0)) {
+            return 50;
+        }
+        var jobs = Math.round(population / 100000 * 50 / 5) * 5;
+        return Math.min(500, Math.max(10, jobs));
+    }
+    
+    var levelPlaceholders = {
+        county: EmbeddedData.get('respondent_county', "${e://Field/respondent_county}", t('yourCounty')),
+        jobs: String(scaledJobs(countyPopulation))
+    };
+    
+    var PLACEHOLDER = /\{(\w+)\}/g;
+    
+    // Level text as shown (translated, placeholders filled in); unknown
+    // placeholders are left as they are
+    function levelText(attr, level) {
+        return String(translatedLevel(attr, level)).replace(PLACEHOLDER, function(match, name) {
+            return levelPlaceholders.hasOwnProperty(name) ? levelPlaceholders[name] : match;
+        });
+    }
+    
+    // Attributes with at least one templated level (in English or the locale shown)
+    var templatedAttributes = [];
+    for (var tAttr in conjointDesign) {
+        var tLevels = conjointDesign[tAttr].levels.concat(translation(tAttr) ? translation(tAttr).levels : []);
+        for (var tl = 0; tl < tLevels.length; tl++) {
+            var names = String(tLevels[tl]).match(PLACEHOLDER);
+            if (!names) {
+                continue;
+            }
+            if (templatedAttributes.indexOf(tAttr) === -1) {
+                templatedAttributes.push(tAttr);
+            }
+            for (var n = 0; n < names.length; n++) {
+                if (!levelPlaceholders.hasOwnProperty(names[n].slice(1, -1))) {
+                    console.warn('Conjoint: unknown placeholder ' + names[n] + ' in a level of ' + tAttr);
+                }
+            }
         }
-        return profile;
     }
     
     // ==============================================================================
-    // GENERATE TWO PROFILES
+    // TASK ASSIGNMENT AND PROFILE CACHE
     // ==============================================================================
     
-    var profileA = generateProfile();
-    var profileB = generateProfile();
+    // conjoint_cache maps each conjoint question ID to its task number, its
+    // profiles (level indices, attributes in design order), attribute order and
+    // any ratings given:
+    //   {"QID12": {"task": 1, "profiles": [[0,2,1,0,1], [3,0,3,2,2]], "order": [...],
+    //              "ratings": {"A": "5"}}}
+    // It is stored URI-encoded so that it can be piped into a JS string
+    // (embedded data is read with embedded_data.js from the survey header). A
+    // question shown again (back button, reload, resumed session) keeps its task
+    // number and re-renders the same profiles instead of drawing new ones.
+    function readProfileCache() {
+        var raw = EmbeddedData.get('conjoint_cache', "${e://Field/conjoint_cache}");
+        if (!raw) {
+            return {};
+        }
+        try {
+            return JSON.parse(decodeURIComponent(raw)) || {};
+        } catch (e) {
+            console.warn('Conjoint: ignoring unreadable conjoint_cache');
+            return {};
+        }
+    }
+    
+    function writeProfileCache() {
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_cache', encodeURIComponent(JSON.stringify(profileCache)));
+    }
+    
+    var questionId = this.questionId;
+    var profileCache = readProfileCache();
+    var cachedTask = profileCache[questionId];
+    
+    // Get current task number (1-nTasks): the task this question was given
+    // before, or the next unused one
+    var taskNumber = 1;
+    if (cachedTask) {
+        taskNumber = cachedTask.task;
+    } else {
+        for (var qid in profileCache) {
+            taskNumber = Math.max(taskNumber, profileCache[qid].task + 1);
+        }
+    }
+    var nTasks = EmbeddedData.get('conjoint_n_tasks', "${e://Field/conjoint_n_tasks}", conjointSettings.nTasks);
+    var repeatSettings = conjointSettings.repeatTask;
+    var totalTasks = nTasks + (repeatSettings.enabled ? 1 : 0);
+    var isRepeatTask = repeatSettings.enabled && taskNumber === nTasks + 1;
+    
+    // Per-task values go to taskN_... fields, the conjoint_log entry, or both
+    var storage = EmbeddedData.get('conjoint_storage', "${e://Field/conjoint_storage}", conjointSettings.storage);
+    var writeFields = storage !== "log";
+    var writeLog = storage !== "fields";
+    
+    function setTaskField(name, value) {
+        if (writeFields) {
+            Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_' + name, value);
+        }
+    }
+    
+    // Refuse to render past the last task (e.g. when the survey has more
+    // conjoint questions than conjoint_n_tasks) rather than overwrite data, and
+    // hide the question so that its own choices collect no answer without a
+    // table
+    if (taskNumber > totalTasks) {
+        var taskError = 'Task ' + taskNumber + ' exceeds the configured total of ' + totalTasks;
+        console.error('Conjoint: ' + taskError);
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_error', taskError);
+        this.getQuestionContainer().style.display = 'none';
+        return;
+    }
+    
+    // ==============================================================================
+    // RANDOMIZATION
+    // ==============================================================================
+    
+    // Seed: an explicit rand_seed from embedded data if set, otherwise the
+    // ResponseId. Each task draws from its own stream ("<seed>:conjoint:<task>"),
+    // so every task can be regenerated offline from the seed alone (requires
+    // seeded_random.js in the survey header).
+    var randSeed = EmbeddedData.get('rand_seed', "${e://Field/rand_seed}") ||
+                   EmbeddedData.get('ResponseID', "${e://Field/ResponseID}") ||
+                   SeededRandom.newSeed();
+    var rng = SeededRandom.create(randSeed + ':conjoint:' + taskNumber);
+    
+    // Profile generation logic (requires conjoint_engine.js in the survey header)
+    var engine = ConjointEngine.create(conjointDesign, conjointRestrictions, conjointSettings);
+    var designWarnings = engine.checkDesign();
+    for (var dw = 0; dw < designWarnings.length; dw++) {
+        console.warn('Conjoint: ' + designWarnings[dw]);
+    }
+    
+    // ==============================================================================
+    // PARTIAL PROFILES
+    // ==============================================================================
+    
+    // Attributes shown in this task: all of them, or a subset of
+    // attributesPerTask drawn from its own stream ("<seed>:conjoint:<task>:shown")
+    // so that the profile draws do not depend on it
+    var attributesPerTask = EmbeddedData.get('conjoint_attributes_per_task',
+                                             "${e://Field/conjoint_attributes_per_task}",
+                                             conjointSettings.attributesPerTask);
+    var partialProfiles = attributesPerTask > 0 && attributesPerTask < engine.attributes.length;
+    var shownAttributes = engine.attributes.slice();
+    if (partialProfiles) {
+        if (cachedTask && engine.isValidSubset(cachedTask.shown, attributesPerTask)) {
+            shownAttributes = cachedTask.shown;
+        } else {
+            shownAttributes = engine.drawAttributeSubset(
+                SeededRandom.create(randSeed + ':conjoint:' + taskNumber + ':shown'), attributesPerTask);
+        }
+    }
+    
+    function isShown(attr) {
+        return shownAttributes.indexOf(attr) !== -1;
+    }
+    
+    // ==============================================================================
+    // GENERATE PROFILES
+    // ==============================================================================
+    
+    // Profile letters (A, B, C, ...) used in the table header and field names
+    var profileLabels = [];
+    for (var p = 0; p < conjointSettings.nProfiles; p++) {
+        profileLabels.push(String.fromCharCode(65 + p));
+    }
+    
+    // Signatures of the other regular tasks this respondent has seen, on the
+    // attributes each of them showed
+    function earlierSignatures() {
+        var signatures = [];
+        for (var qid in profileCache) {
+            var entry = profileCache[qid];
+            if (qid !== questionId && !(repeatSettings.enabled && entry.task === nTasks + 1)) {
+                signatures.push(engine.taskSignature(entry.profiles, entry.shown));
+            }
+        }
+        return signatures;
+    }
+    
+    // Reuse the cached profiles if this question was shown before
+    var profiles = cachedTask ? engine.decodeProfiles(cachedTask.profiles, conjointSettings.nProfiles) : null;
+    
+    // Cache entry of an earlier task, by task number
+    function findCachedTask(task) {
+        for (var qid in profileCache) {
+            if (profileCache[qid].task === task) {
+                return profileCache[qid];
+            }
+        }
+        return null;
+    }
+    
+    // The repeated task copies the source task's profiles, possibly swapped
+    var repeatSource = null;
+    if (!profiles && isRepeatTask) {
+        repeatSource = findCachedTask(repeatSettings.sourceTask);
+        profiles = repeatSource ? engine.decodeProfiles(repeatSource.profiles, conjointSettings.nProfiles) : null;
+        if (!profiles) {
+            var repeatError = 'Repeat task: task ' + repeatSettings.sourceTask + ' has not been shown';
+            console.error('Conjoint: ' + repeatError);
+            Qualtrics.SurveyEngine.setEmbeddedData('conjoint_error', repeatError);
+            return;
+        }
+        if (partialProfiles && engine.isValidSubset(repeatSource.shown, attributesPerTask)) {
+            shownAttributes = repeatSource.shown.slice();
+        }
+        var swapped = repeatSettings.swapProfiles === "random" ?
+            rng.random() < 0.5 : repeatSettings.swapProfiles === true;
+        if (swapped) {
+            profiles.reverse();
+        }
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_repeat_task', taskNumber);
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_repeat_source', repeatSettings.sourceTask);
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_repeat_swapped', swapped ? '1' : '0');
+    }
+    
+    // Otherwise draw them: each profile satisfies the restrictions, differs from
+    // the others on at least minDifferences attributes, and the set repeats no
+    // earlier task
+    if (!profiles) {
+        var draw = engine.drawTaskProfiles(rng, profileLabels.length, earlierSignatures(), shownAttributes);
+        profiles = draw.profiles;
+        
+        // Design diagnostics: redraws for uniqueness and draws rejected by the
+        // restrictions
+        setTaskField('redraws', draw.redraws);
+        setTaskField('rejections', draw.rejections);
+        
+        if (!profiles) {
+            var drawError = 'Task ' + taskNumber + ': no profiles satisfy the restrictions and uniqueness rules';
+            console.error('Conjoint: ' + drawError);
+            Qualtrics.SurveyEngine.setEmbeddedData('conjoint_error', drawError);
+            return;
+        }
+    }
+    
+    // ==============================================================================
+    // ATTRIBUTE ORDER
+    // ==============================================================================
+    
+    var attributeOrder;
+    if (cachedTask && engine.isValidOrder(cachedTask.order)) {
+        attributeOrder = cachedTask.order;
+    } else if (repeatSource && engine.isValidOrder(repeatSource.order)) {
+        attributeOrder = repeatSource.order.slice();
+    } else if (conjointSettings.attributeOrderMode === "task") {
+        attributeOrder = engine.drawAttributeOrder(rng);
+    } else {
+        // Reuse the respondent's order if an earlier task stored one; otherwise
+        // draw it from its own stream so it does not depend on the task number
+        var storedOrder = EmbeddedData.get('conjoint_attr_order', "${e://Field/conjoint_attr_order}");
+        attributeOrder = storedOrder ? storedOrder.split('|') : [];
+        if (!engine.isValidOrder(attributeOrder)) {
+            attributeOrder = engine.drawAttributeOrder(SeededRandom.create(randSeed + ':conjoint:order'));
+        }
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_attr_order', attributeOrder.join('|'));
+    }
+    
+    // Rows actually shown: the attribute order restricted to the shown subset
+    var displayOrder = attributeOrder.filter(isShown);
+    
+    // ==============================================================================
+    // CONTRAST
+    // ==============================================================================
+    
+    function prefersHighContrast() {
+        if (!window.matchMedia) {
+            return false;
+        }
+        return window.matchMedia('(prefers-contrast: more)').matches ||
+               window.matchMedia('(forced-colors: active)').matches;
+    }
+    
+    function assignContrast() {
+        var stored = EmbeddedData.get('conjoint_high_contrast', "${e://Field/conjoint_high_contrast}");
+        if (stored === "1" || stored === "0") {
+            return stored === "1";
+        }
+        if (conjointSettings.contrast === "high" || conjointSettings.contrast === "standard") {
+            return conjointSettings.contrast === "high";
+        }
+        return prefersHighContrast();
+    }
+    
+    var highContrast = assignContrast();
+    
+    // Text, borders and backgrounds; every text color has at least 4.5:1
+    // contrast with its background (7:1 in high contrast)
+    var colors = highContrast ? {
+        text: '#000000',
+        muted: '#000000',
+        border: '2px solid #000000',
+        divider: '2px solid #000000',
+        header: '#000000',
+        headerText: '#ffffff',
+        rows: ['#ffffff', '#e6e6e6'],
+        highlight: '#ffe066',
+        icon: '#000000',
+        accent: '#00306e'
+    } : {
+        text: '#222222',
+        muted: '#595959',
+        border: '1px solid #b3b3b3',
+        divider: '1px solid #d9d9d9',
+        header: '#f0f0f0',
+        headerText: '#222222',
+        rows: ['#ffffff', '#f0f0f0'],
+        highlight: '#fff4d6',
+        icon: '#8a6100',
+        accent: '#2166ac'
+    };
+    
+    // Hidden on screen, read by screen readers
+    var srOnly = 'position:absolute; width:1px; height:1px; margin:-1px; padding:0; overflow:hidden; ' +
+                 'clip:rect(0,0,0,0); white-space:nowrap; border:0;';
+    
+    // "Option A and Option B" (or "Option A, Option B and Option C")
+    function optionList() {
+        var names = profileLabels.map(function(label) {
+            return t('option', { label: label });
+        });
+        return names.slice(0, -1).join(', ') + ' ' + t('and') + ' ' + names[names.length - 1];
+    }
+    
+    // Id of the element naming a profile (column header or card header)
+    function optionId(profileLabel) {
+        return 'conjoint-' + questionId + '-option-' + profileLabel;
+    }
+    
+    // ==============================================================================
+    // DIFFERENCE HIGHLIGHTING
+    // ==============================================================================
+    
+    // Between-subjects condition: does this respondent see the highlight?
+    function assignHighlight() {
+        var mode = conjointSettings.highlightDifferences;
+        if (mode === "on" || mode === "off") {
+            return mode === "on";
+        }
+        var stored = EmbeddedData.get('conjoint_highlight', "${e://Field/conjoint_highlight}");
+        if (stored === "1" || stored === "0") {
+            return stored === "1";
+        }
+        return SeededRandom.create(randSeed + ':conjoint:highlight').random() < 0.5;
+    }
+    
+    var highlight = assignHighlight();
+    
+    // Do the profiles in this task differ on an attribute?
+    function differs(attr) {
+        for (var p = 1; p < profiles.length; p++) {
+            if (profiles[p][attr] !== profiles[0][attr]) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    function isHighlighted(attr) {
+        return highlight && differs(attr);
+    }
+    
+    var highlightColor = colors.highlight;
+    var highlightIcon = '<span class="conjoint-differs-icon" aria-hidden="true" style="color:' + colors.icon +
+                        '; margin-right:6px;">&#9670;</span>';
+    var highlightNote = highlight ?
+        '<p class="conjoint-highlight-note" style="margin:0 0 10px 0; font-size:13px; color:' + colors.muted + ';">' +
+        highlightIcon + t('highlightNote') + '</p>' : '';
     
-    // Ensure profiles are different on at least one attribute
-    var attempts = 0;
-    while (JSON.stringify(profileA) === JSON.stringify(profileB) && attempts < 10) {
-        profileB = generateProfile();
-        attempts++;
+    // Marker and screen-reader text for the label of a highlighted attribute
+    function differsMarker(attr) {
+        return isHighlighted(attr) ?
+            highlightIcon + '<span class="conjoint-sr-only" style="' + srOnly + '"> ' + t('differs') + '</span>' : '';
     }
     
     // ==============================================================================
     // BUILD HTML TABLE
     // ==============================================================================
     
-    var tableHTML = '<table class="conjoint-table" style="width:100%; border-collapse:collapse; margin:20px 0;">';
+    var ratingPrompt = t('ratingPrompt', { points: conjointSettings.ratingPoints });
     
-    // Header row
-    tableHTML += '<tr style="background-color:#f5f5f5;">';
-    tableHTML += '<th style="padding:12px; border:1px solid #ddd; text-align:left; width:30%;">Attribute</th>';
-    tableHTML += '<th style="padding:12px; border:1px solid #ddd; text-align:center; width:35%;">Option A</th>';
-    tableHTML += '<th style="padding:12px; border:1px solid #ddd; text-align:center; width:35%;">Option B</th>';
-    tableHTML += '</tr>';
+    // Semantic table: a caption, column headers for the options and a row
+    // header for each attribute, so screen readers announce both with each level
+    var cell = 'padding:10px; border:' + colors.border + ';';
+    var tableHTML = '<table class="conjoint-table" style="width:100%; border-collapse:collapse; margin:20px 0; ' +
+                    'color:' + colors.text + ';">';
+    tableHTML += '<caption class="conjoint-sr-only" style="' + srOnly + '">' +
+                 t('caption', { task: taskNumber, total: totalTasks, options: optionList() }) + '</caption>';
     
-    // Attribute rows (randomize order)
-    var attributeOrder = shuffle(Object.keys(conjointDesign));
+    // Header row (the attribute column takes 30%, profiles share the rest)
+    var profileWidth = (70 / profiles.length).toFixed(1) + '%';
+    tableHTML += '<thead><tr style="background-color:' + colors.header + '; color:' + colors.headerText + ';">';
+    tableHTML += '<th scope="col" style="padding:12px; border:' + colors.border + '; text-align:left; width:30%;">' +
+                 t('attributeHeader') + '</th>';
+    for (var h = 0; h < profiles.length; h++) {
+        tableHTML += '<th scope="col" id="' + optionId(profileLabels[h]) + '" style="padding:12px; border:' + colors.border +
+                     '; text-align:center; width:' + profileWidth + ';">' + t('option', { label: profileLabels[h] }) + '</th>';
+    }
+    tableHTML += '</tr></thead><tbody>';
     
-    for (var i = 0; i < attributeOrder.length; i++) {
-        var attr = attributeOrder[i];
-        var rowColor = (i % 2 === 0) ? '#ffffff' : '#fafafa';
+    // Attribute rows (in the order drawn above)
+    for (var i = 0; i < displayOrder.length; i++) {
+        var attr = displayOrder[i];
+        var rowColor = colors.rows[i % 2];
+        var rowClass = 'conjoint-attr-row';
+        if (isHighlighted(attr)) {
+            rowColor = highlightColor;
+            rowClass += ' conjoint-differs';
+        }
         
-        tableHTML += '<tr style="background-color:' + rowColor + ';">';
-        tableHTML += '<td style="padding:10px; border:1px solid #ddd; font-weight:bold;">' + 
-                     conjointDesign[attr].label + '</td>';
-        tableHTML += '<td style="padding:10px; border:1px solid #ddd; text-align:center;">' + 
-                     profileA[attr] + '</td>';
-        tableHTML += '<td style="padding:10px; border:1px solid #ddd; text-align:center;">' + 
-                     profileB[attr] + '</td>';
+        tableHTML += '<tr class="' + rowClass + '" data-attribute="' + attr + '" style="background-color:' + rowColor + ';">';
+        tableHTML += '<th scope="row" style="' + cell + ' text-align:left;">' +
+                     differsMarker(attr) + attributeLabel(attr) + '</th>';
+        for (var c = 0; c < profiles.length; c++) {
+            tableHTML += '<td style="' + cell + ' text-align:center;">' + 
+                         levelText(attr, profiles[c][attr]) + '</td>';
+        }
+        tableHTML += '</tr>';
+    }
+    
+    // Rating row (one scale per profile)
+    if (conjointSettings.collectRatings) {
+        tableHTML += '<tr class="conjoint-rating-row" style="background-color:' + colors.header + '; color:' + colors.headerText + ';">';
+        tableHTML += '<th scope="row" style="' + cell + ' text-align:left;">' +
+                     ratingPrompt + '</th>';
+        for (var rc = 0; rc < profiles.length; rc++) {
+            tableHTML += '<td style="' + cell + ' text-align:center;">' +
+                         ratingWidget(profileLabels[rc]) + '</td>';
+        }
+        tableHTML += '</tr>';
+    }
+    
+    // Choice row (one button per profile)
+    if (conjointSettings.inTableChoice) {
+        tableHTML += '<tr class="conjoint-choice-row">';
+        tableHTML += '<td style="' + cell + '"></td>';
+        for (var bc = 0; bc < profiles.length; bc++) {
+            tableHTML += '<td style="' + cell + ' text-align:center;">' +
+                         choiceButton(profileLabels[bc]) + '</td>';
+        }
         tableHTML += '</tr>';
     }
     
-    tableHTML += '</table>';
+    tableHTML += '</tbody></table>';
+    
+    // ==============================================================================
+    // BUILD PROFILE CARDS (NARROW SCREENS)
+    // ==============================================================================
+    
+    // One card per profile, stacked vertically, attributes in the same order
+    var cardsHTML = '<div class="conjoint-cards" style="margin:20px 0;">';
+    for (var pc = 0; pc < profiles.length; pc++) {
+        cardsHTML += '<div class="conjoint-card" role="group" aria-labelledby="' + optionId(profileLabels[pc]) + '" ' +
+                     'data-profile="' + profileLabels[pc] + '" ' +
+                     'style="border:' + colors.border + '; border-radius:8px; margin-bottom:15px; overflow:hidden; color:' + colors.text + ';">';
+        cardsHTML += '<div class="conjoint-card-header" id="' + optionId(profileLabels[pc]) + '" ' +
+                     'style="padding:10px 12px; background-color:' + colors.header + '; color:' + colors.headerText + '; font-weight:bold;">' +
+                     t('option', { label: profileLabels[pc] }) + '</div>';
+        for (var ci = 0; ci < displayOrder.length; ci++) {
+            var cardAttr = displayOrder[ci];
+            var cardHighlighted = isHighlighted(cardAttr);
+            cardsHTML += '<div class="conjoint-attr-row' + (cardHighlighted ? ' conjoint-differs' : '') + '" data-attribute="' + cardAttr + '" ' +
+                         'style="padding:8px 12px; border-top:' + colors.divider + ';' + (cardHighlighted ? ' background-color:' + highlightColor + ';' : '') + '">' +
+                         '<div style="font-size:12px; font-weight:bold; color:' + colors.muted + ';">' + differsMarker(cardAttr) +
+                         attributeLabel(cardAttr) + '</div>' +
+                         '<div>' + levelText(cardAttr, profiles[pc][cardAttr]) + '</div>' +
+                         '</div>';
+        }
+        if (conjointSettings.collectRatings) {
+            cardsHTML += '<div class="conjoint-card-rating" style="padding:10px 12px; border-top:' + colors.border + '; ' +
+                         'background-color:' + colors.header + '; color:' + colors.headerText + ';">' +
+                         '<div style="font-size:12px; margin-bottom:6px;">' + ratingPrompt + '</div>' +
+                         ratingWidget(profileLabels[pc]) + '</div>';
+        }
+        if (conjointSettings.inTableChoice) {
+            cardsHTML += '<div class="conjoint-card-choice" style="padding:10px 12px; border-top:' + colors.border + '; text-align:center;">' +
+                         choiceButton(profileLabels[pc]) + '</div>';
+        }
+        cardsHTML += '</div>';
+    }
+    cardsHTML += '</div>';
+    
+    // Pick the layout once, at render time
+    function chooseLayout() {
+        if (conjointSettings.layout !== "auto") {
+            return conjointSettings.layout;
+        }
+        var query = '(max-width: ' + conjointSettings.cardBreakpoint + 'px)';
+        var narrow = window.matchMedia ?
+            window.matchMedia(query).matches :
+            window.innerWidth <= conjointSettings.cardBreakpoint;
+        return narrow ? "cards" : "table";
+    }
+    
+    var layout = chooseLayout();
+    var profilesHTML = highlightNote + (layout === "cards" ? cardsHTML : tableHTML);
+    
+    // Radio buttons 1..ratingPoints for one profile
+    function ratingWidget(profileLabel) {
+        var html = '<div class="conjoint-rating" role="radiogroup" data-profile="' + profileLabel + '" ' +
+                   'aria-label="' + t('ratingFor', { option: t('option', { label: profileLabel }) }) + '" ' +
+                   'style="display:flex; flex-wrap:wrap; justify-content:center; gap:6px;">';
+        for (var v = 1; v <= conjointSettings.ratingPoints; v++) {
+            html += '<label style="display:flex; flex-direction:column; align-items:center; font-size:12px; cursor:pointer;">' +
+                    '<input type="radio" name="conjoint-rating-' + profileLabel + '" value="' + v + '">' +
+                    v + '</label>';
+        }
+        html += '</div>';
+        return html;
+    }
+    
+    // "Choose this option" button for one profile; its accessible name says
+    // which option it chooses
+    function choiceButton(profileLabel) {
+        return '<button type="button" class="conjoint-choose" data-profile="' + profileLabel + '" aria-pressed="false" ' +
+               'aria-label="' + t('chooseOption', { option: t('option', { label: profileLabel }) }) + '" ' +
+               'style="padding:8px 16px; border:2px solid ' + colors.accent + '; border-radius:4px; background-color:#ffffff; ' +
+               'color:' + colors.accent + '; font-weight:bold; cursor:pointer;">' + t('choose') + '</button>';
+    }
+    
+    // ==============================================================================
+    // EMBEDDED-DATA FIELD CHECK
+    // ==============================================================================
+    
+    // Embedded-data name for an attribute; falls back to the attribute key
+    function fieldName(attr) {
+        return conjointDesign[attr].shortName || attr;
+    }
+    
+    // Qualtrics silently drops values written to fields that Survey Flow does not
+    // declare. `conjoint_fields` (set in Survey Flow) lists the short names that
+    // were declared; in preview, warn about design attributes missing from it.
+    function fieldWarnings() {
+        var declared = EmbeddedData.get('conjoint_fields', "${e://Field/conjoint_fields}");
+        if (!declared) {
+            return ['conjoint_fields is not set in Survey Flow, so the embedded-data fields cannot be checked.'];
+        }
+        declared = declared.split('|');
+        var warnings = [];
+        for (var attr in conjointDesign) {
+            if (!conjointDesign[attr].shortName) {
+                warnings.push('Attribute ' + attr + ' has no shortName; its fields are named after the attribute key.');
+            }
+            if (declared.indexOf(fieldName(attr)) === -1) {
+                warnings.push('Attribute ' + attr + ' has no embedded-data fields (task' + taskNumber + '_A_' +
+                              fieldName(attr) + ', ...); its levels will not be saved.');
+            }
+            if (templatedAttributes.indexOf(attr) !== -1 && declared.indexOf(fieldName(attr) + '_text') === -1) {
+                warnings.push('Attribute ' + attr + ' uses placeholders but ' + fieldName(attr) + '_text is not in ' +
+                              'conjoint_fields; the text shown (task' + taskNumber + '_A_' + fieldName(attr) +
+                              '_text, ...) will not be saved.');
+            }
+        }
+        return warnings;
+    }
+    
+    var isPreview = EmbeddedData.get('Q_CHL', "${e://Field/Q_CHL}") === "preview";
+    var warningBanner = '';
+    if (isPreview && writeFields) {
+        var warnings = fieldWarnings();
+        if (warnings.length > 0) {
+            warningBanner = '<div class="conjoint-warning" style="padding:10px; margin-bottom:15px; border:1px solid #e0b100; background-color:#fff8d6; color:#5c4800;">' +
+                            '<strong>Preview warning:</strong><ul style="margin:5px 0 0 0;"><li>' +
+                            warnings.join('</li><li>') + '</li></ul></div>';
+        }
+    }
     
     // ==============================================================================
     // INSERT INTO QUESTION
     // ==============================================================================
     
-    // Find the question container and insert the table
+    // Find the question container and insert the profiles
     var questionContainer = this.getQuestionContainer();
     var questionText = questionContainer.querySelector('.QuestionText');
     
     if (questionText) {
         // Add task counter
-        var taskInfo = '<p style="margin-bottom:15px; color:#666;">Task ' + taskNumber + ' of 5</p>';
-        questionText.innerHTML = taskInfo + 
-            '<p style="margin-bottom:10px;"><strong>Please review the two immigration enforcement scenarios below and indicate which one you would support:</strong></p>' +
-            tableHTML;
+        var taskInfo = '<p style="margin-bottom:15px; color:' + colors.muted + ';">' + t('taskCounter', { task: taskNumber, total: totalTasks }) + '</p>';
+        var nWord = t('numbers')[profiles.length] || profiles.length;
+        questionText.innerHTML = warningBanner + taskInfo + 
+            '<p style="margin-bottom:10px;"><strong>' + t('instructions', { n: nWord }) + '</strong></p>' +
+            profilesHTML;
+    }
+    
+    // ==============================================================================
+    // RATING HANDLERS
+    // ==============================================================================
+    
+    // Store each rating as it is given and hold the Next button until every
+    // profile has been rated. Ratings given before (the respondent went back to
+    // this task) are restored from conjoint_cache.
+    if (conjointSettings.collectRatings) {
+        var question = this;
+        var ratings = {};
+        var storedRatings = (cachedTask && cachedTask.ratings) || {};
+        
+        var allRated = function() {
+            for (var k = 0; k < profileLabels.length; k++) {
+                if (!ratings[profileLabels[k]]) {
+                    return false;
+                }
+            }
+            return true;
+        };
+        
+        var ratingInputs = questionContainer.querySelectorAll('.conjoint-rating input');
+        for (var ri = 0; ri < ratingInputs.length; ri++) {
+            var ratedLabel = ratingInputs[ri].name.replace('conjoint-rating-', '');
+            if (storedRatings[ratedLabel] === ratingInputs[ri].value) {
+                ratingInputs[ri].checked = true;
+                ratings[ratedLabel] = ratingInputs[ri].value;
+            }
+            ratingInputs[ri].addEventListener('change', function() {
+                var profileLabel = this.name.replace('conjoint-rating-', '');
+                ratings[profileLabel] = this.value;
+                setTaskField(profileLabel + '_rating', this.value);
+                profileCache[questionId].ratings = ratings;
+                writeProfileCache();
+                if (allRated()) {
+                    question.enableNextButton();
+                }
+            });
+        }
+        
+        if (allRated()) {
+            question.enableNextButton();
+        } else {
+            question.disableNextButton();
+        }
+    }
+    
+    // ==============================================================================
+    // IN-TABLE CHOICE
+    // ==============================================================================
+    
+    // The buttons stand in for the question's own choices: clicking one selects
+    // the matching Qualtrics choice, and a choice selected any other way (e.g.
+    // restored on going back) is shown on the buttons
+    if (conjointSettings.inTableChoice) {
+        var choiceQuestion = this;
+        var choiceButtons = questionContainer.querySelectorAll('.conjoint-choose');
+        var choiceInputs = questionContainer.querySelectorAll('.QuestionBody input[type="radio"]');
+        var choiceIds = typeof choiceQuestion.getChoices === "function" ? choiceQuestion.getChoices() : [];
+        var canSetChoice = choiceIds.length >= profileLabels.length &&
+                           typeof choiceQuestion.setChoiceValue === "function";
+        
+        var markChosen = function(index) {
+            for (var b = 0; b < choiceButtons.length; b++) {
+                var chosen = profileLabels.indexOf(choiceButtons[b].getAttribute('data-profile')) === index;
+                choiceButtons[b].setAttribute('aria-pressed', chosen ? 'true' : 'false');
+                choiceButtons[b].style.backgroundColor = chosen ? colors.accent : '#ffffff';
+                choiceButtons[b].style.color = chosen ? '#ffffff' : colors.accent;
+            }
+        };
+        
+        // Arrow keys (and Home / End) move between the buttons; Enter or Space
+        // chooses, as on any button
+        var moveFocus = function(event) {
+            var index = Array.prototype.indexOf.call(choiceButtons, this);
+            var last = choiceButtons.length - 1;
+            var target = {
+                ArrowRight: index + 1, ArrowDown: index + 1,
+                ArrowLeft: index - 1, ArrowUp: index - 1,
+                Home: 0, End: last
+            }[event.key];
+            if (target === undefined) {
+                return;
+            }
+            event.preventDefault();
+            choiceButtons[Math.max(0, Math.min(last, target))].focus();
+        };
+        
+        if (!canSetChoice && choiceInputs.length < profileLabels.length) {
+            // Nothing to sync with: keep the question's own choices
+            console.warn('Conjoint: the question has fewer choices than profiles; showing its own choices instead of the buttons');
+            for (var hb = 0; hb < choiceButtons.length; hb++) {
+                choiceButtons[hb].style.display = 'none';
+            }
+        } else {
+            var choiceBody = questionContainer.querySelector('.QuestionBody');
+            if (choiceBody) {
+                choiceBody.style.display = 'none';
+            }
+            
+            for (var cb = 0; cb < choiceButtons.length; cb++) {
+                choiceButtons[cb].addEventListener('click', function() {
+                    var index = profileLabels.indexOf(this.getAttribute('data-profile'));
+                    if (canSetChoice) {
+                        choiceQuestion.setChoiceValue(choiceIds[index], true);
+                    } else {
+                        choiceInputs[index].click();
+                    }
+                    markChosen(index);
+                });
+                choiceButtons[cb].addEventListener('keydown', moveFocus);
+            }
+            
+            for (var cn = 0; cn < choiceInputs.length && cn < profileLabels.length; cn++) {
+                choiceInputs[cn].addEventListener('change', function() {
+                    if (this.checked) {
+                        markChosen(Array.prototype.indexOf.call(choiceInputs, this));
+                    }
+                });
+                if (choiceInputs[cn].checked) {
+                    markChosen(cn);
+                }
+            }
+        }
+    }
+    
+    // ==============================================================================
+    // PARADATA
+    // ==============================================================================
+    
+    // Milliseconds from render to the first click anywhere in the question and
+    // to page submit, plus how long each attribute row was hovered (mouse) or
+    // touched (from touchstart to touchend), stored as "<shortName>:<ms>|..." in
+    // design order (shown attributes only). taskN_dwell_input records which
+    // input produced the dwell times (mouse, touch, both or none), since the
+    // two are not comparable.
+    if (conjointSettings.collectParadata) {
+        var renderTime = Date.now();
+        var firstClickMs = null;
+        var submitMs = null;
+        var dwell = {};
+        var activeRow = null;
+        var activeSince = 0;
+        var dwellInputs = { mouse: false, touch: false };
+        var lastTouchEnd = null;
+        
+        for (var da = 0; da < shownAttributes.length; da++) {
+            dwell[shownAttributes[da]] = 0;
+        }
+        
+        var startDwell = function(attr) {
+            stopDwell();
+            activeRow = attr;
+            activeSince = Date.now();
+        };
+        
+        var stopDwell = function() {
+            if (activeRow) {
+                dwell[activeRow] += Date.now() - activeSince;
+                activeRow = null;
+            }
+        };
+        
+        var dwellInput = function() {
+            if (dwellInputs.mouse && dwellInputs.touch) {
+                return "both";
+            }
+            return dwellInputs.mouse ? "mouse" : dwellInputs.touch ? "touch" : "none";
+        };
+        
+        var stopTouchDwell = function() {
+            stopDwell();
+            lastTouchEnd = Date.now();
+        };
+        
+        questionContainer.addEventListener('click', function() {
+            if (firstClickMs === null) {
+                firstClickMs = Date.now() - renderTime;
+                setTaskField('first_click_ms', firstClickMs);
+            }
+        });
+        
+        var attrRows = questionContainer.querySelectorAll('.conjoint-attr-row');
+        for (var ar = 0; ar < attrRows.length; ar++) {
+            attrRows[ar].addEventListener('mouseenter', function() {
+                // Browsers follow a tap with emulated mouse events; those are
+                // not hovering
+                if (lastTouchEnd !== null && Date.now() - lastTouchEnd < 1000) {
+                    return;
+                }
+                dwellInputs.mouse = true;
+                startDwell(this.getAttribute('data-attribute'));
+            });
+            attrRows[ar].addEventListener('mouseleave', stopDwell);
+            attrRows[ar].addEventListener('touchstart', function() {
+                dwellInputs.touch = true;
+                startDwell(this.getAttribute('data-attribute'));
+            }, { passive: true });
+            attrRows[ar].addEventListener('touchend', stopTouchDwell, { passive: true });
+            attrRows[ar].addEventListener('touchcancel', stopTouchDwell, { passive: true });
+        }
+        
+        Qualtrics.SurveyEngine.addOnPageSubmit(function() {
+            stopDwell();
+            var dwellLog = [];
+            for (var attr in dwell) {
+                dwellLog.push(fieldName(attr) + ':' + dwell[attr]);
+            }
+            submitMs = Date.now() - renderTime;
+            setTaskField('submit_ms', submitMs);
+            setTaskField('dwell', dwellLog.join('|'));
+            setTaskField('dwell_input', dwellInput());
+        });
     }
     
     // ==============================================================================
     // STORE DATA IN EMBEDDED DATA FIELDS
     // ==============================================================================
     
-    // Store Profile A attributes
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_A_target', profileA.target_type);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_A_economic', profileA.economic_impact);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_A_method', profileA.enforcement_method);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_A_funding', profileA.federal_funding);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_A_cooperation', profileA.local_cooperation);
+    // Store profile attributes (taskN_A_<shortName>, taskN_B_<shortName>, ...);
+    // attributes left out of a partial profile are stored as "not shown"
+    for (var s = 0; s < profiles.length; s++) {
+        for (var attr in conjointDesign) {
+            setTaskField(profileLabels[s] + '_' + fieldName(attr), isShown(attr) ? profiles[s][attr] : "not shown");
+        }
+    }
+    
+    // Store the level codes (taskN_A_codes: one per attribute, design order), which
+    // stay the same when a level's wording changes
+    for (var s0 = 0; s0 < profiles.length; s0++) {
+        var profileCodes = [];
+        for (var codeAttr in conjointDesign) {
+            profileCodes.push(isShown(codeAttr) ? engine.levelCode(codeAttr, profiles[s0][codeAttr]) : "not shown");
+        }
+        setTaskField(profileLabels[s0] + '_codes', profileCodes.join('|'));
+    }
+    
+    // Store the text shown for templated attributes (taskN_A_<shortName>_text, ...)
+    // and the placeholder values the respondent saw
+    for (var s1 = 0; s1 < profiles.length; s1++) {
+        for (var ta = 0; ta < templatedAttributes.length; ta++) {
+            var tmplAttr = templatedAttributes[ta];
+            setTaskField(profileLabels[s1] + '_' + fieldName(tmplAttr) + '_text',
+                         isShown(tmplAttr) ? levelText(tmplAttr, profiles[s1][tmplAttr]) : "not shown");
+        }
+    }
+    if (templatedAttributes.length > 0) {
+        Qualtrics.SurveyEngine.setEmbeddedData('conjoint_placeholders', JSON.stringify(levelPlaceholders));
+    }
+    
+    // Store attribute order (rows as shown) for analysis
+    setTaskField('attr_order', displayOrder.join('|'));
+    
+    // Store the shown subset of a partial profile (short names, design order)
+    if (partialProfiles) {
+        setTaskField('shown', shownAttributes.map(fieldName).join('|'));
+    }
+    
+    // Store each profile's probability under the restrictions (taskN_A_prob),
+    // from which the analysis builds inverse-probability weights, and the
+    // realized probability of each shown level (taskN_A_probs, attributes in
+    // design order; hidden ones as "not shown", null in the log) to describe
+    // the design. The restrictions make attributes dependent, so the product
+    // of the level probabilities is not the profile's probability.
+    function profileProbability(profile) {
+        return Number(engine.profileProbability(profile).toPrecision(6));
+    }
+    function shownProbabilities(profile) {
+        var probs = [];
+        for (var attr in conjointDesign) {
+            var index = conjointDesign[attr].levels.indexOf(profile[attr]);
+            probs.push(isShown(attr) ? Number(engine.realizedProbabilities(attr)[index].toFixed(4)) : null);
+        }
+        return probs;
+    }
+    for (var s2 = 0; s2 < profiles.length; s2++) {
+        setTaskField(profileLabels[s2] + '_prob', String(profileProbability(profiles[s2])));
+        setTaskField(profileLabels[s2] + '_probs', shownProbabilities(profiles[s2]).map(function(prob) {
+            return prob === null ? "not shown" : prob.toFixed(4);
+        }).join('|'));
+    }
+    
+    // Store the layout shown (table or cards) to test for device-mode effects
+    setTaskField('layout', layout);
     
-    // Store Profile B attributes
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_B_target', profileB.target_type);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_B_economic', profileB.economic_impact);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_B_method', profileB.enforcement_method);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_B_funding', profileB.federal_funding);
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_B_cooperation', profileB.local_cooperation);
+    // Store the locale shown
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_locale', locale);
     
-    // Store attribute order for analysis
-    Qualtrics.SurveyEngine.setEmbeddedData('task' + taskNumber + '_attr_order', attributeOrder.join('|'));
+    // Store the palette shown (1 = high contrast)
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_high_contrast', highContrast ? '1' : '0');
+    
+    // Store the highlighting condition (respondent level)
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_highlight', highlight ? '1' : '0');
+    
+    // Cache this question's task and profiles for revisits
+    profileCache[questionId] = {
+        task: taskNumber,
+        profiles: engine.encodeProfiles(profiles),
+        order: attributeOrder
+    };
+    if (partialProfiles) {
+        profileCache[questionId].shown = shownAttributes;
+    }
+    if (conjointSettings.collectRatings && Object.keys(ratings).length > 0) {
+        profileCache[questionId].ratings = ratings;
+    }
+    writeProfileCache();
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_task', taskNumber);
+    
+    // Store which design was used (inline, element or embedded_data)
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_design_source', designSource);
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_design_id', designId);
+    
+    // Store the seed so the task can be reproduced
+    Qualtrics.SurveyEngine.setEmbeddedData('rand_seed', randSeed);
+    
+    // Store the restrictions in force so the analysis can model the restricted design
+    var restrictionIds = [];
+    for (var r = 0; r < conjointRestrictions.length; r++) {
+        restrictionIds.push(conjointRestrictions[r].id);
+    }
+    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_restrictions', restrictionIds.join('|'));
+    
+    // ==============================================================================
+    // TASK LOG
+    // ==============================================================================
+    
+    // conjoint_log holds a URI-encoded JSON array with one entry per task:
+    //   {"task": 1, "qid": "QID12",
+    //    "profiles": [[0,2,1,0,1], [3,0,-1,2,2]],  level indices in design order (-1 = not shown)
+    //    "order": [2,0,4,1,3],                      rows as shown (design attribute indices)
+    //    "choice": "B", "ratings": [5,2], "layout": "table", "locale": "en",
+    //    "redraws": 0, "rejections": 3,             draw diagnostics (as taskN_redraws, ...)
+    //    "prob": [0.0037037, 0.0037037],            profile probabilities (as taskN_A_prob)
+    //    "probs": [[0.3,0.3333,0.2,0.3333,0.3333], [0.4,0.3333,null,0.3333,0.3333]],
+    //                                               as taskN_A_probs (null = not shown)
+    //    "first_click_ms": 3400, "submit_ms": 15200, "dwell": [1830,420,0,0,95],  dwell per row
+    //    "dwell_input": "mouse",                    as taskN_dwell_input
+    //    "text": {"economic": ["Will create 340 local jobs", null]}}  templated attributes only
+    // The entry is written on page submit, when the choice is known, and
+    // replaces any earlier entry for the same task.
+    function readTaskLog() {
+        var raw = EmbeddedData.get('conjoint_log', "${e://Field/conjoint_log}");
+        if (!raw) {
+            return [];
+        }
+        try {
+            var parsed = JSON.parse(decodeURIComponent(raw));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.warn('Conjoint: ignoring unreadable conjoint_log');
+            return [];
+        }
+    }
+    
+    // Label of the selected profile (from the question's choices), or null
+    function chosenProfile(question) {
+        if (typeof question.getChoices === "function" && typeof question.getChoiceValue === "function") {
+            var ids = question.getChoices();
+            for (var c = 0; c < ids.length && c < profileLabels.length; c++) {
+                if (question.getChoiceValue(ids[c])) {
+                    return profileLabels[c];
+                }
+            }
+        }
+        var inputs = questionContainer.querySelectorAll('.QuestionBody input[type="radio"]');
+        for (var i = 0; i < inputs.length && i < profileLabels.length; i++) {
+            if (inputs[i].checked) {
+                return profileLabels[i];
+            }
+        }
+        return null;
+    }
+    
+    function logEntry(question) {
+        var entry = {
+            task: taskNumber,
+            qid: questionId,
+            profiles: engine.encodeProfiles(profiles).map(function(indices) {
+                return indices.map(function(index, a) {
+                    return isShown(engine.attributes[a]) ? index : -1;
+                });
+            }),
+            order: displayOrder.map(function(attr) {
+                return engine.attributes.indexOf(attr);
+            }),
+            choice: chosenProfile(question),
+            layout: layout,
+            locale: locale,
+            prob: profiles.map(profileProbability),
+            probs: profiles.map(shownProbabilities)
+        };
+        // Draw diagnostics of this task: from the draw, or from the earlier
+        // entry when the profiles were reused (going back to the task)
+        if (draw) {
+            entry.redraws = draw.redraws;
+            entry.rejections = draw.rejections;
+        } else {
+            readTaskLog().forEach(function(other) {
+                if (other.task === taskNumber && other.redraws !== undefined) {
+                    entry.redraws = other.redraws;
+                    entry.rejections = other.rejections;
+                }
+            });
+        }
+        if (isRepeatTask) {
+            entry.repeat_of = repeatSettings.sourceTask;
+        }
+        if (conjointSettings.collectRatings) {
+            entry.ratings = profileLabels.map(function(label) {
+                return ratings[label] ? Number(ratings[label]) : null;
+            });
+        }
+        if (conjointSettings.collectParadata) {
+            entry.first_click_ms = firstClickMs;
+            entry.submit_ms = submitMs;
+            entry.dwell = displayOrder.map(function(attr) {
+                return dwell[attr];
+            });
+            entry.dwell_input = dwellInput();
+        }
+        if (templatedAttributes.length > 0) {
+            entry.text = {};
+            templatedAttributes.forEach(function(attr) {
+                entry.text[fieldName(attr)] = profiles.map(function(profile) {
+                    return isShown(attr) ? levelText(attr, profile[attr]) : null;
+                });
+            });
+        }
+        return entry;
+    }
+    
+    // The log with this task's entry, URI-encoded; null if over the budget
+    function encodeTaskLog(entry) {
+        var log = readTaskLog().filter(function(other) {
+            return other.task !== taskNumber;
+        });
+        log.push(entry);
+        log.sort(function(x, y) {
+            return x.task - y.task;
+        });
+        var encoded = encodeURIComponent(JSON.stringify(log));
+        return encoded.length <= conjointSettings.logMaxChars ? encoded : null;
+    }
+    
+    if (writeLog) {
+        var logQuestion = this;
+        Qualtrics.SurveyEngine.addOnPageSubmit(function() {
+            var entry = logEntry(logQuestion);
+            var encoded = encodeTaskLog(entry);
+            if (encoded === null && entry.dwell) {
+                delete entry.dwell;
+                delete entry.dwell_input;
+                encoded = encodeTaskLog(entry);
+            }
+            if (encoded === null) {
+                var logError = 'conjoint_log exceeds ' + conjointSettings.logMaxChars + ' characters; task ' +
+                               taskNumber + ' was not logged';
+                console.error('Conjoint: ' + logError);
+                Qualtrics.SurveyEngine.setEmbeddedData('conjoint_error', logError);
+                return;
+            }
+            Qualtrics.SurveyEngine.setEmbeddedData('conjoint_log', encoded);
+        });
+    }
     
 });
 
@@ -199,6 +1484,23 @@ Qualtrics.SurveyEngine.addOnReady(function() {
         .conjoint-table td, .conjoint-table th {
             vertical-align: middle;
         }
+        .conjoint-card {
+            font-size: 15px;
+            line-height: 1.4;
+        }
+        .conjoint-choose:hover {
+            box-shadow: 0 0 0 3px rgba(33, 102, 172, 0.2);
+        }
+        .conjoint-choose:focus-visible, .conjoint-rating input:focus-visible {
+            outline: 3px solid #1a1a1a;
+            outline-offset: 2px;
+        }
+        @media (forced-colors: active) {
+            .conjoint-choose[aria-pressed="true"] {
+                border-width: 4px;
+                text-decoration: underline;
+            }
+        }
         @media (max-width: 600px) {
             .conjoint-table {
                 font-size: 12px;
@@ -206,13 +1508,11 @@ Qualtrics.SurveyEngine.addOnReady(function() {
             .conjoint-table td, .conjoint-table th {
                 padding: 8px 5px;
             }
+            .conjoint-rating input {
+                width: 22px;
+                height: 22px;
+            }
         }
     `;
     document.head.appendChild(style);
 });
-
-Qualtrics.SurveyEngine.addOnUnload(function() {
-    // Increment task counter for next question
-    var currentTask = parseInt("${e://Field/conjoint_task}") || 1;
-    Qualtrics.SurveyEngine.setEmbeddedData('conjoint_task', currentTask + 1);
-});
@@ -0,0 +1,557 @@
+// ==============================================================================
+// Jobs for Jails: Conjoint Profile Generation Engine
+// ==============================================================================
+// Purpose: Randomization logic shared by conjoint.js and the Node simulator
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// Pure functions only: no Qualtrics or DOM access, and every random draw goes
+// through a generator from seeded_random.js. In Qualtrics, paste this file
+// between <script> tags in Look & Feel -> General -> Header (after
+// seeded_random.js); it defines a global `ConjointEngine`. Under Node it is
+// exported with module.exports:
+//
+//   var ConjointEngine = require('./conjoint_engine.js');
+//   var spec = ConjointEngine.parseDesign(require('../conjoint_design.json'));
+//   var engine = ConjointEngine.create(spec.design, spec.restrictions, settings);
+//
+// ==============================================================================
+
+(function(root) {
+
+    // ==============================================================================
+    // DESIGN DEFINITION
+    // ==============================================================================
+
+    // Convert a design definition (the format of qualtrics/conjoint_design.json)
+    // to the design object used by conjoint.js. Throws if it is unusable.
+    function parseDesign(spec) {
+        if (!spec || !spec.attributes || !spec.attributes.length) {
+            throw new Error('design has no attributes');
+        }
+
+        var design = {};
+        for (var a = 0; a < spec.attributes.length; a++) {
+            var attribute = spec.attributes[a];
+            if (!attribute.name || !attribute.label || !attribute.levels || !attribute.levels.length) {
+                throw new Error('attribute ' + (a + 1) + ' needs a name, label and levels');
+            }
+            design[attribute.name] = {
+                label: attribute.label,
+                shortName: attribute.shortName,
+                levels: attribute.levels
+            };
+            if (attribute.weights) {
+                design[attribute.name].weights = attribute.weights;
+            }
+            if (attribute.codes) {
+                design[attribute.name].codes = attribute.codes;
+            }
+            if (attribute.translations) {
+                design[attribute.name].translations = attribute.translations;
+            }
+        }
+
+        return {
+            id: spec.id || "",
+            design: design,
+            restrictions: spec.restrictions || []
+        };
+    }
+
+    // ==============================================================================
+    // ENGINE
+    // ==============================================================================
+
+    // settings: maxProfileDraws and minDifferences (see conjointSettings in
+    // conjoint.js)
+    function create(design, restrictions, settings) {
+
+        var attributes = Object.keys(design);
+
+        // --------------------------------------------------------------------------
+        // Design checks
+        // --------------------------------------------------------------------------
+
+        // Problems with weights, codes, translations or restrictions, as
+        // messages. Invalid weights are dropped (uniform draws), and so are
+        // invalid codes (default codes) and translations (English); rules naming
+        // unknown attributes or levels would otherwise silently never fire.
+        function checkDesign() {
+            var warnings = [];
+            var seenCodes = {};
+
+            for (var attr in design) {
+                var weights = design[attr].weights;
+                if (!weights) {
+                    continue;
+                }
+                var valid = weights.length === design[attr].levels.length;
+                var weightSum = 0;
+                for (var w = 0; valid && w < weights.length; w++) {
+                    valid = typeof weights[w] === "number" && weights[w] >= 0;
+                    weightSum += weights[w];
+                }
+                if (!valid || !(weightSum > 0)) {
+                    warnings.push('Weights for ' + attr + ' must be one non-negative number per level, not all zero; ' +
+                                  'using uniform draws');
+                    delete design[attr].weights;
+                }
+            }
+
+            for (var codeAttr in design) {
+                var codes = design[codeAttr].codes;
+                if (!codes) {
+                    continue;
+                }
+                var validCodes = codes.length === design[codeAttr].levels.length;
+                for (var c = 0; validCodes && c < codes.length; c++) {
+                    validCodes = typeof codes[c] === "string" && codes[c] !== "" && !seenCodes[codes[c]];
+                    seenCodes[codes[c]] = true;
+                }
+                if (!validCodes) {
+                    warnings.push('Codes for ' + codeAttr + ' must be one unique, non-empty string per level; using ' +
+                                  codeAttr + ':1, ' + codeAttr + ':2, ...');
+                    delete design[codeAttr].codes;
+                }
+            }
+
+            for (var tAttr in design) {
+                var translations = design[tAttr].translations || {};
+                for (var locale in translations) {
+                    var translation = translations[locale];
+                    if (!translation || !translation.label || !translation.levels ||
+                        translation.levels.length !== design[tAttr].levels.length) {
+                        warnings.push('Translation "' + locale + '" of ' + tAttr + ' needs a label and one text per level; ' +
+                                      'showing it in English');
+                        delete translations[locale];
+                    }
+                }
+            }
+
+            function checkCondition(rule, condition) {
+                for (var attr in condition) {
+                    if (!design[attr]) {
+                        warnings.push('Restriction "' + rule.id + '": unknown attribute ' + attr);
+                        continue;
+                    }
+                    var levels = [].concat(condition[attr]);
+                    for (var l = 0; l < levels.length; l++) {
+                        if (design[attr].levels.indexOf(levels[l]) === -1) {
+                            warnings.push('Restriction "' + rule.id + '": unknown level "' + levels[l] + '"');
+                        }
+                    }
+                }
+            }
+
+            for (var r = 0; r < restrictions.length; r++) {
+                var rule = restrictions[r];
+                if (rule.type === "forbid") {
+                    checkCondition(rule, rule.levels);
+                } else if (rule.type === "require") {
+                    checkCondition(rule, rule.if);
+                    checkCondition(rule, rule.then);
+                } else if (rule.type === "conditional") {
+                    var own = {};
+                    own[rule.attribute] = rule.levels;
+                    checkCondition(rule, own);
+                    checkCondition(rule, rule.onlyIf);
+                } else {
+                    warnings.push('Restriction "' + rule.id + '": unknown type ' + rule.type);
+                }
+            }
+
+            return warnings;
+        }
+
+        // --------------------------------------------------------------------------
+        // Level draws
+        // --------------------------------------------------------------------------
+
+        // Nominal draw probability of each level of an attribute (normalized
+        // weights, before the restrictions)
+        function levelProbabilities(attr) {
+            var levels = design[attr].levels;
+            var weights = design[attr].weights;
+            var probs = [];
+            var total = 0;
+            for (var k = 0; k < levels.length; k++) {
+                total += weights ? weights[k] : 1;
+            }
+            for (var k2 = 0; k2 < levels.length; k2++) {
+                probs.push((weights ? weights[k2] : 1) / total);
+            }
+            return probs;
+        }
+
+        // Attributes named in any restriction, in design order
+        function restrictedAttributes() {
+            var named = {};
+            function addCondition(condition) {
+                for (var attr in condition) {
+                    named[attr] = true;
+                }
+            }
+            for (var r = 0; r < restrictions.length; r++) {
+                var rule = restrictions[r];
+                if (rule.type === "forbid") {
+                    addCondition(rule.levels);
+                }
+                addCondition(rule.if);
+                addCondition(rule.then);
+                addCondition(rule.onlyIf);
+                if (rule.attribute) {
+                    named[rule.attribute] = true;
+                }
+            }
+            return attributes.filter(function(attr) {
+                return named[attr];
+            });
+        }
+
+        // Probability of each level of every attribute in a drawn profile, under
+        // the restrictions. Profiles are drawn whole and redrawn until allowed,
+        // so each allowed profile has probability proportional to the product
+        // of its levels' nominal probabilities. Attributes no rule names keep
+        // their nominal probabilities, so only the combinations of restricted
+        // attributes are enumerated (once) and summed. (The minDifferences and
+        // no-repeat rules, which act on the set of profiles in a task, are not
+        // taken into account.)
+        var realized = null;
+        var allowedMass = 0;
+        function realizeProbabilities() {
+            var enumerated = restrictedAttributes();
+            var nominal = {};
+            realized = {};
+            for (var a = 0; a < attributes.length; a++) {
+                nominal[attributes[a]] = levelProbabilities(attributes[a]);
+                realized[attributes[a]] = enumerated.indexOf(attributes[a]) === -1 ?
+                    nominal[attributes[a]] :
+                    nominal[attributes[a]].map(function() {
+                        return 0;
+                    });
+            }
+            var total = 0;
+            var profile = {};
+            var indices = [];
+            (function enumerate(e, probability) {
+                if (e === enumerated.length) {
+                    if (isAllowedProfile(profile)) {
+                        total += probability;
+                        for (var i = 0; i < enumerated.length; i++) {
+                            realized[enumerated[i]][indices[i]] += probability;
+                        }
+                    }
+                    return;
+                }
+                var levels = design[enumerated[e]].levels;
+                for (var k = 0; k < levels.length; k++) {
+                    profile[enumerated[e]] = levels[k];
+                    indices[e] = k;
+                    enumerate(e + 1, probability * nominal[enumerated[e]][k]);
+                }
+            })(0, 1);
+            for (var i = 0; i < enumerated.length; i++) {
+                realized[enumerated[i]] = realized[enumerated[i]].map(function(p) {
+                    return total > 0 ? p / total : 0;
+                });
+            }
+            allowedMass = total;
+        }
+
+        // Realized probability of each level of an attribute (see above)
+        function realizedProbabilities(attr) {
+            if (!realized) {
+                realizeProbabilities();
+            }
+            return realized[attr];
+        }
+
+        // Probability of drawing this whole profile under the restrictions: the
+        // product of its levels' nominal probabilities over the probability
+        // that a draw is allowed; 0 for a profile the restrictions forbid. The
+        // restrictions make attributes dependent, so this is not the product
+        // of the realized level probabilities.
+        function profileProbability(profile) {
+            if (!realized) {
+                realizeProbabilities();
+            }
+            if (!isAllowedProfile(profile) || allowedMass === 0) {
+                return 0;
+            }
+            var probability = 1;
+            for (var a = 0; a < attributes.length; a++) {
+                var index = design[attributes[a]].levels.indexOf(profile[attributes[a]]);
+                probability *= index === -1 ? 0 : levelProbabilities(attributes[a])[index];
+            }
+            return probability / allowedMass;
+        }
+
+        // Stable code of a level (its `codes` entry, or <attribute>:<position>
+        // counting from 1); null for a level not in the design
+        function levelCode(attr, level) {
+            var index = design[attr].levels.indexOf(level);
+            if (index === -1) {
+                return null;
+            }
+            return design[attr].codes ? design[attr].codes[index] : attr + ':' + (index + 1);
+        }
+
+        // Draw a level for one attribute, honoring its weights if any
+        function drawLevel(rng, attr) {
+            return design[attr].weights ?
+                rng.weightedPick(design[attr].levels, design[attr].weights) :
+                rng.pick(design[attr].levels);
+        }
+
+        // --------------------------------------------------------------------------
+        // Restrictions
+        // --------------------------------------------------------------------------
+
+        // Does the profile match every attribute/level(s) pair in a condition?
+        function matchesCondition(profile, condition) {
+            for (var attr in condition) {
+                var allowed = [].concat(condition[attr]);
+                if (allowed.indexOf(profile[attr]) === -1) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        // Does the profile break a single restriction rule?
+        function violatesRule(profile, rule) {
+            switch (rule.type) {
+                case "forbid":
+                    return matchesCondition(profile, rule.levels);
+                case "require":
+                    return matchesCondition(profile, rule.if) && !matchesCondition(profile, rule.then);
+                case "conditional":
+                    return [].concat(rule.levels).indexOf(profile[rule.attribute]) !== -1 &&
+                           !matchesCondition(profile, rule.onlyIf);
+                default:
+                    return false;
+            }
+        }
+
+        // Ids of the rules the profile breaks
+        function violatedRules(profile) {
+            var ids = [];
+            for (var r = 0; r < restrictions.length; r++) {
+                if (violatesRule(profile, restrictions[r])) {
+                    ids.push(restrictions[r].id);
+                }
+            }
+            return ids;
+        }
+
+        function isAllowedProfile(profile) {
+            return violatedRules(profile).length === 0;
+        }
+
+        // --------------------------------------------------------------------------
+        // Profile encoding
+        // --------------------------------------------------------------------------
+
+        // Profiles -> arrays of level indices (attributes in design order)
+        function encodeProfiles(profiles) {
+            var encoded = [];
+            for (var p = 0; p < profiles.length; p++) {
+                var indices = [];
+                for (var a = 0; a < attributes.length; a++) {
+                    indices.push(design[attributes[a]].levels.indexOf(profiles[p][attributes[a]]));
+                }
+                encoded.push(indices);
+            }
+            return encoded;
+        }
+
+        // Arrays of level indices -> profiles; null if they do not fit the
+        // design or there are not nProfiles of them
+        function decodeProfiles(encoded, nProfiles) {
+            if (!encoded || encoded.length !== nProfiles) {
+                return null;
+            }
+            var profiles = [];
+            for (var p = 0; p < encoded.length; p++) {
+                if (encoded[p].length !== attributes.length) {
+                    return null;
+                }
+                var profile = {};
+                for (var a = 0; a < attributes.length; a++) {
+                    var level = design[attributes[a]].levels[encoded[p][a]];
+                    if (level === undefined) {
+                        return null;
+                    }
+                    profile[attributes[a]] = level;
+                }
+                profiles.push(profile);
+            }
+            return profiles;
+        }
+
+        // Order-free signature of a task's set of (encoded) profiles. With
+        // shownAttributes (partial profiles), hidden attributes are masked as -1
+        // so that tasks which look the same get the same signature.
+        function taskSignature(encodedProfiles, shownAttributes) {
+            var keys = [];
+            for (var e = 0; e < encodedProfiles.length; e++) {
+                keys.push(encodedProfiles[e].map(function(index, a) {
+                    return !shownAttributes || shownAttributes.indexOf(attributes[a]) !== -1 ? index : -1;
+                }).join(','));
+            }
+            return keys.sort().join(';');
+        }
+
+        // --------------------------------------------------------------------------
+        // Profile generation
+        // --------------------------------------------------------------------------
+
+        // Number of attributes (all, or those in compared) on which two
+        // profiles differ
+        function countDifferences(profile, other, compared) {
+            compared = compared || attributes;
+            var differences = 0;
+            for (var a = 0; a < compared.length; a++) {
+                if (profile[compared[a]] !== other[compared[a]]) {
+                    differences++;
+                }
+            }
+            return differences;
+        }
+
+        // Does the profile differ from every other profile on at least
+        // minDifferences of the compared attributes?
+        function differsEnough(profile, others, compared) {
+            for (var o = 0; o < others.length; o++) {
+                if (countDifferences(profile, others[o], compared) < settings.minDifferences) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        // Draw the profiles of one task. Each profile satisfies the restrictions
+        // (rejection sampling), differs from the others on at least
+        // minDifferences attributes (of shownAttributes, if given), and the set
+        // matches none of earlierSignatures (compared on shownAttributes). Returns the profiles (null when the
+        // rules cannot be met within maxProfileDraws), the redraws for
+        // uniqueness and the draws rejected by the restrictions.
+        function drawTaskProfiles(rng, nProfiles, earlierSignatures, shownAttributes) {
+            var result = { profiles: null, redraws: 0, rejections: 0 };
+
+            function generateProfile() {
+                for (var draw = 0; draw < settings.maxProfileDraws; draw++) {
+                    var profile = {};
+                    for (var a = 0; a < attributes.length; a++) {
+                        profile[attributes[a]] = drawLevel(rng, attributes[a]);
+                    }
+                    if (isAllowedProfile(profile)) {
+                        return profile;
+                    }
+                    result.rejections++;
+                }
+                return null;
+            }
+
+            var drawn = [];
+            while (drawn.length < nProfiles) {
+                if (result.redraws > settings.maxProfileDraws) {
+                    return result;
+                }
+                var candidate = generateProfile();
+                if (!candidate) {
+                    return result;
+                }
+                if (!differsEnough(candidate, drawn, shownAttributes)) {
+                    result.redraws++;
+                    continue;
+                }
+                drawn.push(candidate);
+                if (drawn.length === nProfiles &&
+                    earlierSignatures.indexOf(taskSignature(encodeProfiles(drawn), shownAttributes)) !== -1) {
+                    drawn = [];
+                    result.redraws++;
+                }
+            }
+
+            result.profiles = drawn;
+            return result;
+        }
+
+        // --------------------------------------------------------------------------
+        // Attribute order
+        // --------------------------------------------------------------------------
+
+        // Is a stored order a permutation of the design's attributes?
+        function isValidOrder(order) {
+            if (!order || order.length !== attributes.length) {
+                return false;
+            }
+            for (var a = 0; a < attributes.length; a++) {
+                if (order.indexOf(attributes[a]) === -1) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        // Random attribute order
+        function drawAttributeOrder(rng) {
+            return rng.shuffle(attributes.slice());
+        }
+
+        // Random subset of m attributes for a partial profile, in design order
+        function drawAttributeSubset(rng, m) {
+            var chosen = rng.shuffle(attributes.slice()).slice(0, m);
+            return attributes.filter(function(attr) {
+                return chosen.indexOf(attr) !== -1;
+            });
+        }
+
+        // Is a stored subset m distinct attributes of the design?
+        function isValidSubset(subset, m) {
+            if (!subset || subset.length !== m) {
+                return false;
+            }
+            for (var a = 0; a < subset.length; a++) {
+                if (attributes.indexOf(subset[a]) === -1 || subset.indexOf(subset[a]) !== a) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        return {
+            attributes: attributes,
+            checkDesign: checkDesign,
+            levelProbabilities: levelProbabilities,
+            realizedProbabilities: realizedProbabilities,
+            profileProbability: profileProbability,
+            levelCode: levelCode,
+            violatedRules: violatedRules,
+            isAllowedProfile: isAllowedProfile,
+            encodeProfiles: encodeProfiles,
+            decodeProfiles: decodeProfiles,
+            taskSignature: taskSignature,
+            countDifferences: countDifferences,
+            drawTaskProfiles: drawTaskProfiles,
+            isValidOrder: isValidOrder,
+            drawAttributeOrder: drawAttributeOrder,
+            drawAttributeSubset: drawAttributeSubset,
+            isValidSubset: isValidSubset
+        };
+    }
+
+    var ConjointEngine = {
+        parseDesign: parseDesign,
+        create: create
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ConjointEngine;
+    } else {
+        root.ConjointEngine = ConjointEngine;
+    }
+
+})(this);
@@ -0,0 +1,96 @@
+// ==============================================================================
+// Jobs for Jails: Embedded Data Access
+// ==============================================================================
+// Purpose: Read embedded data in the Qualtrics scripts with typed fallbacks
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// In Qualtrics, paste this file between <script> tags in Look & Feel ->
+// General -> Header (before the other scripts); it defines a global
+// `EmbeddedData`. Under Node it is exported with module.exports.
+//
+// Qualtrics only substitutes piped text written literally in the question
+// JavaScript, so each read passes the field name and its piped string:
+//
+//   var county = EmbeddedData.get('respondent_county',
+//                                 "${e://Field/respondent_county}", 'your county');
+//   var nTasks = EmbeddedData.get('conjoint_n_tasks',
+//                                 "${e://Field/conjoint_n_tasks}", 5);
+//
+// The value comes from Qualtrics.SurveyEngine.getEmbeddedData when it returns
+// one, otherwise from the piped string. Empty values and piped text that was
+// not resolved (the literal "${e://Field/...}") give the default, and the
+// value is converted to the default's type.
+//
+// ==============================================================================
+
+(function(root) {
+
+    // Piped text that Qualtrics did not substitute, e.g. "${e://Field/x}"
+    var UNRESOLVED = /\$\{[a-z]+:\/\/[^}]*\}/i;
+
+    function isUnresolved(value) {
+        return typeof value === 'string' && UNRESOLVED.test(value);
+    }
+
+    // Empty, missing or unresolved
+    function isMissing(value) {
+        return value === undefined || value === null || value === '' || isUnresolved(value);
+    }
+
+    // Convert a raw string to the type of defaultValue; the default if it
+    // does not convert
+    function convert(value, defaultValue) {
+        switch (typeof defaultValue) {
+            case 'number':
+                var number = Number(value);
+                return isNaN(number) ? defaultValue : number;
+            case 'boolean':
+                var text = String(value).toLowerCase();
+                if (text === '1' || text === 'true' || text === 'yes') {
+                    return true;
+                }
+                if (text === '0' || text === 'false' || text === 'no') {
+                    return false;
+                }
+                return defaultValue;
+            default:
+                return String(value);
+        }
+    }
+
+    // Raw value of a field: live embedded data first, then the piped string.
+    // Undefined if neither has a usable value.
+    function raw(name, piped) {
+        var engine = root.Qualtrics && root.Qualtrics.SurveyEngine;
+        if (engine && typeof engine.getEmbeddedData === 'function') {
+            var live = engine.getEmbeddedData(name);
+            if (!isMissing(live)) {
+                return live;
+            }
+        }
+        return isMissing(piped) ? undefined : piped;
+    }
+
+    // Value of a field converted to the type of defaultValue ('' if omitted)
+    function get(name, piped, defaultValue) {
+        if (defaultValue === undefined) {
+            defaultValue = '';
+        }
+        var value = raw(name, piped);
+        return value === undefined ? defaultValue : convert(value, defaultValue);
+    }
+
+    var EmbeddedData = {
+        isUnresolved: isUnresolved,
+        raw: raw,
+        get: get
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EmbeddedData;
+    } else {
+        root.EmbeddedData = EmbeddedData;
+    }
+
+})(this);
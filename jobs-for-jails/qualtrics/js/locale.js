@@ -0,0 +1,76 @@
+// ==============================================================================
+// Jobs for Jails: Interface Translations
+// ==============================================================================
+// Purpose: Pick the respondent's language and look up translated strings
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// In Qualtrics, paste this file between <script> tags in Look & Feel ->
+// General -> Header (after embedded_data.js); it defines a global `Locale`.
+// Under Node it is exported with module.exports.
+//
+// Each script keeps its strings in a table keyed by locale, with English as
+// the fallback, and picks the locale from the survey language (Q_Lang):
+//
+//   var strings = {
+//       en: { taskCounter: "Task {task} of {total}" },
+//       es: { taskCounter: "Tarea {task} de {total}" }
+//   };
+//   var locale = Locale.pick(EmbeddedData.get('Q_Lang', "${e://Field/Q_Lang}", 'EN'), strings);
+//   var t = Locale.translator(strings, locale);
+//   t('taskCounter', { task: 1, total: 5 });   // "Tarea 1 de 5"
+//
+// ==============================================================================
+
+(function(root) {
+
+    var FALLBACK = 'en';
+
+    // Locale of a Qualtrics language code: its primary language in lower case
+    // ("ES-ES" -> "es", "EN" -> "en"); '' if there is none
+    function code(lang) {
+        return String(lang || '').split(/[-_]/)[0].toLowerCase();
+    }
+
+    // Locale to show for a language code: its own if the table has strings for
+    // it, English otherwise
+    function pick(lang, strings) {
+        var locale = code(lang);
+        return strings.hasOwnProperty(locale) ? locale : FALLBACK;
+    }
+
+    // Fill {name} placeholders from values; unknown names are left as they are
+    function format(template, values) {
+        return String(template).replace(/\{(\w+)\}/g, function(match, name) {
+            return values && values.hasOwnProperty(name) ? String(values[name]) : match;
+        });
+    }
+
+    // Lookup function for one locale: t(key, values) gives the locale's string
+    // (or English if it has none), formatted with values. Non-string entries
+    // (e.g. arrays of words) are returned as they are.
+    function translator(strings, locale) {
+        return function(key, values) {
+            var table = strings[locale] || {};
+            var value = table.hasOwnProperty(key) ? table[key] : (strings[FALLBACK] || {})[key];
+            if (value === undefined) {
+                return key;
+            }
+            return typeof value === 'string' ? format(value, values) : value;
+        };
+    }
+
+    var Locale = {
+        code: code,
+        pick: pick,
+        format: format,
+        translator: translator
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Locale;
+    } else {
+        root.Locale = Locale;
+    }
+
+})(this);
@@ -0,0 +1,119 @@
+// ==============================================================================
+// Jobs for Jails: Seeded Random Number Generator
+// ==============================================================================
+// Purpose: Reproducible randomization for the Qualtrics scripts
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// In Qualtrics, paste this file between <script> tags in Look & Feel ->
+// General -> Header so that it is loaded before the question JavaScript.
+// It defines a global `SeededRandom`. Under Node it is exported with
+// module.exports, so a respondent's draws can be regenerated offline from
+// the stored seed:
+//
+//   var SeededRandom = require('./seeded_random.js');
+//   var rng = SeededRandom.create('R_1abcDEF:conjoint:1');
+//
+// ==============================================================================
+
+(function(root) {
+
+    // ==============================================================================
+    // SEED HASHING
+    // ==============================================================================
+
+    // Hash any string (e.g. a ResponseId) to a 32-bit unsigned integer (xmur3)
+    function hashSeed(str) {
+        str = String(str);
+        var h = 1779033703 ^ str.length;
+        for (var i = 0; i < str.length; i++) {
+            h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    // Fresh seed for respondents with no ResponseId (e.g. some preview modes)
+    function newSeed() {
+        return 'S' + Date.now().toString(36) + Math.floor(Math.random() * 1e9).toString(36);
+    }
+
+    // ==============================================================================
+    // GENERATOR
+    // ==============================================================================
+
+    // Create a generator from a string or numeric seed (mulberry32)
+    function create(seed) {
+        var state = hashSeed(seed);
+
+        // Uniform float in [0, 1)
+        function random() {
+            state = (state + 0x6D2B79F5) | 0;
+            var t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // Uniform integer in [0, n)
+        function int(n) {
+            return Math.floor(random() * n);
+        }
+
+        // Fisher-Yates shuffle (in place)
+        function shuffle(array) {
+            var currentIndex = array.length, temporaryValue, randomIndex;
+            while (0 !== currentIndex) {
+                randomIndex = int(currentIndex);
+                currentIndex -= 1;
+                temporaryValue = array[currentIndex];
+                array[currentIndex] = array[randomIndex];
+                array[randomIndex] = temporaryValue;
+            }
+            return array;
+        }
+
+        // Random element from array
+        function pick(array) {
+            return array[int(array.length)];
+        }
+
+        // Random element from array with probability proportional to weights
+        function weightedPick(array, weights) {
+            var total = 0;
+            for (var w = 0; w < weights.length; w++) {
+                total += weights[w];
+            }
+            var threshold = random() * total;
+            for (var k = 0; k < array.length; k++) {
+                threshold -= weights[k];
+                if (threshold < 0) {
+                    return array[k];
+                }
+            }
+            return array[array.length - 1];
+        }
+
+        return {
+            random: random,
+            int: int,
+            shuffle: shuffle,
+            pick: pick,
+            weightedPick: weightedPick
+        };
+    }
+
+    var SeededRandom = {
+        hashSeed: hashSeed,
+        newSeed: newSeed,
+        create: create
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SeededRandom;
+    } else {
+        root.SeededRandom = SeededRandom;
+    }
+
+})(this);
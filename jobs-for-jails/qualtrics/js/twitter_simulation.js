@@ -11,10 +11,11 @@ Qualtrics.SurveyEngine.addOnload(function() {
     // TREATMENT CONDITIONS
     // ==============================================================================
     
-    // Get treatment assignment from embedded data
-    var treatment = "${e://Field/twitter_treatment}";
+    // Get treatment assignment from embedded data (requires embedded_data.js
+    // in the survey header)
+    var treatment = EmbeddedData.get('twitter_treatment', "${e://Field/twitter_treatment}");
     
-    // Tweet content variations
+    // Tweet content variations; `translations` holds the text in other locales
     var tweetContent = {
         
         // Detention + No Jobs framing
@@ -29,7 +30,10 @@ Qualtrics.SurveyEngine.addOnload(function() {
             retweets: "1,247",
             quotes: "892",
             likes: "3,456",
-            views: "245K"
+            views: "245K",
+            translations: {
+                es: { text: "ÚLTIMA HORA: El gobierno federal anuncia planes para construir un nuevo centro de detención de ICE en [COUNTY]. La instalación albergará a inmigrantes indocumentados en espera de sus audiencias de deportación. Se espera que la construcción comience el próximo año." }
+            }
         },
         
         // Detention + Jobs framing
@@ -44,7 +48,10 @@ Qualtrics.SurveyEngine.addOnload(function() {
             retweets: "2,156",
             quotes: "1,034",
             likes: "5,892",
-            views: "312K"
+            views: "312K",
+            translations: {
+                es: { text: "ÚLTIMA HORA: El gobierno federal anuncia planes para construir un nuevo centro de detención de ICE en [COUNTY]. La instalación creará 350 empleos permanentes y aportará $25M anuales a la economía local. Se esperan más de 500 empleos en la construcción." }
+            }
         },
         
         // Processing + No Jobs framing
@@ -59,7 +66,10 @@ Qualtrics.SurveyEngine.addOnload(function() {
             retweets: "987",
             quotes: "654",
             likes: "2,891",
-            views: "198K"
+            views: "198K",
+            translations: {
+                es: { text: "ÚLTIMA HORA: El gobierno federal anuncia planes para construir un nuevo centro de procesamiento migratorio en [COUNTY]. La instalación tramitará casos migratorios administrativos. Se espera que la construcción comience el próximo año." }
+            }
         },
         
         // Processing + Jobs framing
@@ -74,7 +84,10 @@ Qualtrics.SurveyEngine.addOnload(function() {
             retweets: "1,834",
             quotes: "923",
             likes: "4,567",
-            views: "278K"
+            views: "278K",
+            translations: {
+                es: { text: "ÚLTIMA HORA: El gobierno federal anuncia planes para construir un nuevo centro de procesamiento migratorio en [COUNTY]. La instalación creará 350 empleos permanentes y aportará $25M anuales a la economía local. Se esperan más de 500 empleos en la construcción." }
+            }
         },
         
         // ICE raid announcement
@@ -89,7 +102,10 @@ Qualtrics.SurveyEngine.addOnload(function() {
             retweets: "3,421",
             quotes: "2,156",
             likes: "8,934",
-            views: "567K"
+            views: "567K",
+            translations: {
+                es: { text: "ICE anuncia la ampliación de sus operaciones en [COUNTY] como parte de sus labores de control en curso. Una nueva instalación de procesamiento creará más de 350 empleos locales. Seguimos comprometidos con hacer cumplir las leyes de inmigración y con apoyar a las comunidades locales." }
+            }
         },
         
         ice_raid_no_jobs: {
@@ -103,15 +119,65 @@ Qualtrics.SurveyEngine.addOnload(function() {
             retweets: "2,876",
             quotes: "1,945",
             likes: "6,234",
-            views: "423K"
+            views: "423K",
+            translations: {
+                es: { text: "ICE anuncia la ampliación de sus operaciones en [COUNTY] como parte de sus labores de control en curso. Las operaciones se dirigirán a personas que han infringido las leyes de inmigración. Seguimos comprometidos con hacer cumplir las leyes de inmigración." }
+            }
         }
     };
     
-    // Get tweet based on treatment
-    var tweet = tweetContent[treatment] || tweetContent.detention_no_jobs;
+    // Get tweet based on treatment; unknown or missing treatments get the
+    // default, which is what twitter_treatment_shown then records
+    if (!tweetContent.hasOwnProperty(treatment)) {
+        treatment = "detention_no_jobs";
+    }
+    var tweet = tweetContent[treatment];
+    
+    // ==============================================================================
+    // INTERFACE TEXT
+    // ==============================================================================
+    
+    // Text shown to respondents, by locale (requires locale.js in the survey
+    // header). The locale follows the survey language (Q_Lang), falls back to
+    // English and is stored in twitter_locale.
+    var tweetStrings = {
+        en: {
+            reply: "Reply",
+            repost: "Repost",
+            like: "Like",
+            save: "Save",
+            reposts: "Reposts",
+            quotes: "Quotes",
+            likes: "Likes",
+            views: "Views",
+            avatar: "Avatar",
+            instruction: "Please interact with this post as you normally would on social media, then answer the question below.",
+            yourCounty: "your county"
+        },
+        es: {
+            reply: "Responder",
+            repost: "Repostear",
+            like: "Me gusta",
+            save: "Guardar",
+            reposts: "Reposts",
+            quotes: "Citas",
+            likes: "Me gusta",
+            views: "Visualizaciones",
+            avatar: "Foto de perfil",
+            instruction: "Interactúe con esta publicación como lo haría normalmente en las redes sociales y luego responda la pregunta a continuación.",
+            yourCounty: "su condado"
+        }
+    };
+    
+    var locale = Locale.pick(EmbeddedData.get('Q_Lang', "${e://Field/Q_Lang}", 'EN'), tweetStrings);
+    var t = Locale.translator(tweetStrings, locale);
+    
+    if (tweet.translations && tweet.translations[locale]) {
+        tweet.text = tweet.translations[locale].text;
+    }
     
     // Replace county placeholder with respondent's county (from embedded data)
-    var county = "${e://Field/respondent_county}" || "your county";
+    var county = EmbeddedData.get('respondent_county', "${e://Field/respondent_county}", t('yourCounty'));
     tweet.text = tweet.text.replace(/\[COUNTY\]/g, county);
     
     // ==============================================================================
@@ -126,7 +192,7 @@ Qualtrics.SurveyEngine.addOnload(function() {
                 
                 <!-- Header -->
                 <div class="tweet-header" style="display:flex; align-items:flex-start; margin-bottom:12px;">
-                    <img src="${tweet.avatar}" alt="Avatar" style="width:48px; height:48px; border-radius:50%; margin-right:12px;">
+                    <img src="${tweet.avatar}" alt="${t('avatar')}" style="width:48px; height:48px; border-radius:50%; margin-right:12px;">
                     <div class="tweet-author">
                         <div style="display:flex; align-items:center;">
                             <span style="font-weight:700; font-size:15px;">${tweet.author}</span>
@@ -145,10 +211,10 @@ Qualtrics.SurveyEngine.addOnload(function() {
                 
                 <!-- Engagement Stats -->
                 <div class="tweet-stats" style="display:flex; gap:16px; color:#536471; font-size:13px; padding:12px 0; border-top:1px solid #e1e8ed; border-bottom:1px solid #e1e8ed;">
-                    <span><strong style="color:#0f1419;">${tweet.retweets}</strong> Reposts</span>
-                    <span><strong style="color:#0f1419;">${tweet.quotes}</strong> Quotes</span>
-                    <span><strong style="color:#0f1419;">${tweet.likes}</strong> Likes</span>
-                    <span><strong style="color:#0f1419;">${tweet.views}</strong> Views</span>
+                    <span><strong style="color:#0f1419;">${tweet.retweets}</strong> ${t('reposts')}</span>
+                    <span><strong style="color:#0f1419;">${tweet.quotes}</strong> ${t('quotes')}</span>
+                    <span><strong style="color:#0f1419;">${tweet.likes}</strong> ${t('likes')}</span>
+                    <span><strong style="color:#0f1419;">${tweet.views}</strong> ${t('views')}</span>
                 </div>
                 
                 <!-- Action Buttons -->
@@ -157,25 +223,25 @@ Qualtrics.SurveyEngine.addOnload(function() {
                     <!-- Reply -->
                     <button class="tweet-action-btn" id="btn-reply" style="display:flex; align-items:center; gap:8px; background:none; border:none; color:#536471; cursor:pointer; padding:8px 12px; border-radius:9999px; transition:all 0.2s;">
                         <svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:currentColor;"><path d="M1.751 10c0-4.42 3.584-8 8.005-8h4.366c4.49 0 8.129 3.64 8.129 8.13 0 2.96-1.607 5.68-4.196 7.11l-8.054 4.46v-3.69h-.067c-4.49.1-8.183-3.51-8.183-8.01zm8.005-6c-3.317 0-6.005 2.69-6.005 6 0 3.37 2.77 6.08 6.138 6.01l.351-.01h1.761v2.3l5.087-2.81c1.951-1.08 3.163-3.13 3.163-5.36 0-3.39-2.744-6.13-6.129-6.13H9.756z"></path></svg>
-                        <span>Reply</span>
+                        <span>${t('reply')}</span>
                     </button>
                     
                     <!-- Repost -->
                     <button class="tweet-action-btn" id="btn-repost" data-active="false" style="display:flex; align-items:center; gap:8px; background:none; border:none; color:#536471; cursor:pointer; padding:8px 12px; border-radius:9999px; transition:all 0.2s;">
                         <svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:currentColor;"><path d="M4.5 3.88l4.432 4.14-1.364 1.46L5.5 7.55V16c0 1.1.896 2 2 2H13v2H7.5c-2.209 0-4-1.79-4-4V7.55L1.432 9.48.068 8.02 4.5 3.88zM16.5 6H11V4h5.5c2.209 0 4 1.79 4 4v8.45l2.068-1.93 1.364 1.46-4.432 4.14-4.432-4.14 1.364-1.46 2.068 1.93V8c0-1.1-.896-2-2-2z"></path></svg>
-                        <span>Repost</span>
+                        <span>${t('repost')}</span>
                     </button>
                     
                     <!-- Like -->
                     <button class="tweet-action-btn" id="btn-like" data-active="false" style="display:flex; align-items:center; gap:8px; background:none; border:none; color:#536471; cursor:pointer; padding:8px 12px; border-radius:9999px; transition:all 0.2s;">
                         <svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:currentColor;"><path d="M16.697 5.5c-1.222-.06-2.679.51-3.89 2.16l-.805 1.09-.806-1.09C9.984 6.01 8.526 5.44 7.304 5.5c-1.243.07-2.349.78-2.91 1.91-.552 1.12-.633 2.78.479 4.82 1.074 1.97 3.257 4.27 7.129 6.61 3.87-2.34 6.052-4.64 7.126-6.61 1.111-2.04 1.03-3.7.477-4.82-.561-1.13-1.666-1.84-2.908-1.91zm4.187 7.69c-1.351 2.48-4.001 5.12-8.379 7.67l-.503.3-.504-.3c-4.379-2.55-7.029-5.19-8.382-7.67-1.36-2.5-1.41-4.86-.514-6.67.887-1.79 2.647-2.91 4.601-3.01 1.651-.09 3.368.56 4.798 2.01 1.429-1.45 3.146-2.1 4.796-2.01 1.954.1 3.714 1.22 4.601 3.01.896 1.81.846 4.17-.514 6.67z"></path></svg>
-                        <span>Like</span>
+                        <span>${t('like')}</span>
                     </button>
                     
                     <!-- Bookmark -->
                     <button class="tweet-action-btn" id="btn-bookmark" data-active="false" style="display:flex; align-items:center; gap:8px; background:none; border:none; color:#536471; cursor:pointer; padding:8px 12px; border-radius:9999px; transition:all 0.2s;">
                         <svg viewBox="0 0 24 24" style="width:20px; height:20px; fill:currentColor;"><path d="M4 4.5C4 3.12 5.119 2 6.5 2h11C18.881 2 20 3.12 20 4.5v18.44l-8-5.71-8 5.71V4.5zM6.5 4c-.276 0-.5.22-.5.5v14.56l6-4.29 6 4.29V4.5c0-.28-.224-.5-.5-.5h-11z"></path></svg>
-                        <span>Save</span>
+                        <span>${t('save')}</span>
                     </button>
                     
                 </div>
@@ -184,7 +250,7 @@ Qualtrics.SurveyEngine.addOnload(function() {
             
             <!-- Instruction -->
             <p style="text-align:center; color:#536471; font-size:14px; margin-top:16px;">
-                Please interact with this post as you normally would on social media, then answer the question below.
+                ${t('instruction')}
             </p>
             
         </div>
@@ -265,6 +331,7 @@ Qualtrics.SurveyEngine.addOnload(function() {
     // Store treatment condition
     Qualtrics.SurveyEngine.setEmbeddedData('twitter_treatment_shown', treatment);
     Qualtrics.SurveyEngine.setEmbeddedData('twitter_tweet_text', tweet.text);
+    Qualtrics.SurveyEngine.setEmbeddedData('twitter_locale', locale);
     
 });
 
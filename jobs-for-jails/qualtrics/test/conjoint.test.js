@@ -0,0 +1,627 @@
+// ==============================================================================
+// Jobs for Jails: Tests for conjoint.js
+// ==============================================================================
+// Run from jobs-for-jails/qualtrics: npm test
+// ==============================================================================
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./qualtrics_harness.js');
+var ConjointEngine = require('../js/conjoint_engine.js');
+var SeededRandom = require('../js/seeded_random.js');
+var design = require('../conjoint_design.json');
+
+var HEADER = ['js/embedded_data.js', 'js/locale.js', 'js/seeded_random.js', 'js/conjoint_engine.js'];
+
+function loadTask(embeddedData, questionId, extra) {
+    var options = {
+        script: 'js/conjoint.js',
+        header: HEADER,
+        embeddedData: embeddedData,
+        questionId: questionId || 'QID1'
+    };
+    for (var key in extra) {
+        options[key] = extra[key];
+    }
+    return harness.loadQuestion(options);
+}
+
+// Level text shown in each row, by data-attribute, for the table layout
+function shownLevels(page) {
+    var levels = {};
+    var rows = page.container.querySelectorAll('.conjoint-table .conjoint-attr-row');
+    for (var r = 0; r < rows.length; r++) {
+        var cells = rows[r].querySelectorAll('td');
+        levels[rows[r].getAttribute('data-attribute')] = [cells[0].textContent.trim(), cells[1].textContent.trim()];
+    }
+    return levels;
+}
+
+// Value of the inline `var <name> = ...;` in conjoint.js (a literal closed by
+// `close` at the indentation of the declaration)
+function inlineValue(name, close) {
+    var source = fs.readFileSync(path.join(__dirname, '..', 'js', 'conjoint.js'), 'utf8');
+    var start = source.indexOf('var ' + name + ' = ');
+    var end = source.indexOf('\n    ' + close + ';', start);
+    assert.ok(start !== -1 && end !== -1, name + ' not found in conjoint.js');
+    var literal = source.slice(source.indexOf('=', start) + 1, end + close.length + 5);
+    return JSON.parse(JSON.stringify(vm.runInNewContext('(' + literal + ')')));
+}
+
+test('the inline design and restrictions match conjoint_design.json', function() {
+    var spec = ConjointEngine.parseDesign(design);
+    assert.deepStrictEqual(inlineValue('conjointDesign', '}'), JSON.parse(JSON.stringify(spec.design)));
+    assert.deepStrictEqual(inlineValue('conjointRestrictions', ']'), JSON.parse(JSON.stringify(spec.restrictions)));
+});
+
+test('renders one row per attribute and stores the profiles', function() {
+    var page = loadTask({ rand_seed: 'TEST_1' });
+
+    assert.match(page.questionText.textContent, /Task 1 of 5/);
+    var levels = shownLevels(page);
+    assert.strictEqual(Object.keys(levels).length, design.attributes.length);
+
+    design.attributes.forEach(function(attribute) {
+        assert.strictEqual(page.embeddedData['task1_A_' + attribute.shortName], levels[attribute.name][0]);
+        assert.strictEqual(page.embeddedData['task1_B_' + attribute.shortName], levels[attribute.name][1]);
+    });
+    assert.strictEqual(page.embeddedData.conjoint_task, '1');
+    assert.strictEqual(page.embeddedData.rand_seed, 'TEST_1');
+    assert.strictEqual(page.console.error.length, 0);
+});
+
+test('draws are reproducible from rand_seed', function() {
+    var first = loadTask({ rand_seed: 'TEST_2' });
+    var second = loadTask({ rand_seed: 'TEST_2' });
+    assert.deepStrictEqual(shownLevels(first), shownLevels(second));
+    assert.strictEqual(first.embeddedData.task1_attr_order, second.embeddedData.task1_attr_order);
+});
+
+test('later questions get the next task and going back shows the same task', function() {
+    var embeddedData = { rand_seed: 'TEST_3' };
+    var task1 = loadTask(embeddedData, 'QID1');
+    var task2 = loadTask(embeddedData, 'QID2');
+    assert.strictEqual(embeddedData.conjoint_task, '2');
+    assert.match(task2.questionText.textContent, /Task 2 of 5/);
+
+    var again = loadTask(embeddedData, 'QID1');
+    assert.match(again.questionText.textContent, /Task 1 of 5/);
+    assert.deepStrictEqual(shownLevels(again), shownLevels(task1));
+});
+
+test('profiles respect the design restrictions', function() {
+    var spec = ConjointEngine.parseDesign(design);
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    for (var s = 0; s < 25; s++) {
+        var embeddedData = { rand_seed: 'TEST_R' + s };
+        loadTask(embeddedData);
+        ['A', 'B'].forEach(function(label) {
+            var profile = {};
+            design.attributes.forEach(function(attribute) {
+                profile[attribute.name] = embeddedData['task1_' + label + '_' + attribute.shortName];
+            });
+            assert.deepStrictEqual(engine.violatedRules(profile), []);
+        });
+    }
+});
+
+test('stored probabilities are the level probabilities under the restrictions', function() {
+    var spec = ConjointEngine.parseDesign(design);
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    var targets = engine.realizedProbabilities('target_type');
+    var methods = engine.realizedProbabilities('enforcement_method');
+    assert.ok(Math.abs(targets[spec.design.target_type.levels.indexOf('Individuals at a courthouse')] - 0.1) < 0.005);
+    assert.ok(Math.abs(methods[spec.design.enforcement_method.levels.indexOf('Arrests at public locations')] - 0.4) < 0.005);
+    engine.attributes.forEach(function(attr) {
+        var total = engine.realizedProbabilities(attr).reduce(function(sum, p) {
+            return sum + p;
+        }, 0);
+        assert.ok(Math.abs(total - 1) < 1e-9);
+    });
+
+    var embeddedData = { rand_seed: 'TEST_P' };
+    loadTask(embeddedData);
+    var probs = embeddedData.task1_A_probs.split('|');
+    var profile = {};
+    design.attributes.forEach(function(attribute, a) {
+        var index = attribute.levels.indexOf(embeddedData['task1_A_' + attribute.shortName]);
+        assert.strictEqual(probs[a], engine.realizedProbabilities(attribute.name)[index].toFixed(4));
+        profile[attribute.name] = attribute.levels[index];
+    });
+    assert.strictEqual(Number(embeddedData.task1_A_prob), Number(engine.profileProbability(profile).toPrecision(6)));
+});
+
+test('every allowed profile of the unweighted design is equally likely', function() {
+    var spec = ConjointEngine.parseDesign(design);
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    var allowed = [];
+    var forbidden = 0;
+    (function enumerate(a, profile) {
+        if (a === engine.attributes.length) {
+            var probability = engine.profileProbability(profile);
+            if (engine.isAllowedProfile(profile)) {
+                allowed.push(probability);
+            } else {
+                assert.strictEqual(probability, 0);
+                forbidden++;
+            }
+            return;
+        }
+        spec.design[engine.attributes[a]].levels.forEach(function(level) {
+            profile[engine.attributes[a]] = level;
+            enumerate(a + 1, profile);
+        });
+    })(0, {});
+    assert.ok(forbidden > 0);
+    allowed.forEach(function(probability) {
+        assert.ok(Math.abs(probability - 1 / allowed.length) < 1e-12);
+    });
+});
+
+test('only the restricted attributes are enumerated for the probabilities', function() {
+    var large = JSON.parse(JSON.stringify(design));
+    for (var x = 0; x < 12; x++) {
+        large.attributes.push({ name: 'extra' + x, label: 'Extra ' + x, levels: ['a', 'b', 'c', 'd', 'e'],
+                                weights: [1, 1, 1, 1, 4] });
+    }
+    var spec = ConjointEngine.parseDesign(large);
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    var started = Date.now();
+    assert.deepStrictEqual(engine.realizedProbabilities('extra3'), engine.levelProbabilities('extra3'));
+    assert.ok(Math.abs(engine.realizedProbabilities('target_type')[3] - 0.1) < 0.005);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('weights that are all zero fall back to uniform draws', function() {
+    var spec = ConjointEngine.parseDesign({
+        attributes: [{ name: 'size', label: 'Size', levels: ['Small', 'Large'], weights: [0, 0] }]
+    });
+    var engine = ConjointEngine.create(spec.design, [], {});
+    assert.strictEqual(engine.checkDesign().length, 1);
+    assert.deepStrictEqual(engine.levelProbabilities('size'), [0.5, 0.5]);
+});
+
+test('a question past the last task is hidden and renders no table', function() {
+    var embeddedData = { rand_seed: 'TEST_OVER', conjoint_n_tasks: '1' };
+    loadTask(embeddedData, 'QID1', { choices: 2 });
+    var extra = loadTask(embeddedData, 'QID2', { choices: 2 });
+    assert.strictEqual(embeddedData.conjoint_error, 'Task 2 exceeds the configured total of 1');
+    assert.strictEqual(extra.container.style.display, 'none');
+    assert.strictEqual(extra.container.querySelector('.conjoint-table'), null);
+    assert.strictEqual(embeddedData.task2_A_target, undefined);
+    assert.strictEqual(embeddedData.conjoint_task, '1');
+});
+
+test('Next is enabled only after every profile is rated', function() {
+    var page = loadTask({ rand_seed: 'TEST_4' });
+    assert.strictEqual(page.nextButton.enabled, false);
+
+    page.fire('.conjoint-rating[data-profile="A"] input[value="5"]');
+    assert.strictEqual(page.embeddedData.task1_A_rating, '5');
+    assert.strictEqual(page.nextButton.enabled, false);
+
+    page.fire('.conjoint-rating[data-profile="B"] input[value="2"]');
+    assert.strictEqual(page.embeddedData.task1_B_rating, '2');
+    assert.strictEqual(page.nextButton.enabled, true);
+
+    // Going back to the task shows the ratings and keeps Next enabled
+    var again = loadTask(page.embeddedData);
+    assert.strictEqual(again.container.querySelector('.conjoint-rating[data-profile="A"] input[value="5"]').checked, true);
+    assert.strictEqual(again.container.querySelector('.conjoint-rating[data-profile="B"] input[value="2"]').checked, true);
+    assert.strictEqual(again.nextButton.enabled, true);
+});
+
+test('page submit records timing and dwell paradata', function() {
+    var page = loadTask({ rand_seed: 'TEST_5' });
+    page.fire('.conjoint-attr-row', 'mouseenter');
+    page.fire('.conjoint-attr-row', 'mouseleave');
+    page.submit();
+    assert.match(page.embeddedData.task1_submit_ms, /^\d+$/);
+    assert.match(page.embeddedData.task1_dwell, /^target:\d+\|economic:\d+/);
+    assert.strictEqual(page.embeddedData.task1_dwell_input, 'mouse');
+});
+
+test('touch dwell stops when the finger is lifted', function() {
+    var page = loadTask({ rand_seed: 'TEST_5' });
+    var now = 1000;
+    page.window.Date.now = function() {
+        return now;
+    };
+    var attribute = page.container.querySelector('.conjoint-attr-row').getAttribute('data-attribute');
+    page.fire('.conjoint-attr-row', 'touchstart');
+    now += 300;
+    page.fire('.conjoint-attr-row', 'touchend');
+    // The emulated mouse event after a tap does not count as hovering
+    page.fire('.conjoint-attr-row', 'mouseenter');
+    now += 5000;
+    page.submit();
+
+    var shortName = design.attributes.filter(function(a) {
+        return a.name === attribute;
+    })[0].shortName;
+    assert.ok(page.embeddedData.task1_dwell.split('|').indexOf(shortName + ':300') !== -1);
+    assert.strictEqual(page.embeddedData.task1_dwell_input, 'touch');
+});
+
+test('narrow screens get stacked cards', function() {
+    var page = loadTask({ rand_seed: 'TEST_6' }, 'QID1', { width: 400 });
+    assert.strictEqual(page.container.querySelectorAll('.conjoint-card').length, 2);
+    assert.strictEqual(page.embeddedData.task1_layout, 'cards');
+});
+
+test('preview warns about undeclared embedded-data fields', function() {
+    var page = loadTask({ rand_seed: 'TEST_7', conjoint_fields: 'target|economic' }, 'QID1', { preview: true });
+    var warning = page.container.querySelector('.conjoint-warning');
+    assert.ok(warning);
+    assert.match(warning.textContent, /enforcement_method/);
+});
+
+test('reads embedded data through piped text when getEmbeddedData is missing', function() {
+    var embeddedData = { rand_seed: 'TEST_8', conjoint_n_tasks: '3' };
+    var page = loadTask(embeddedData, 'QID1', { liveData: false });
+    assert.match(page.questionText.textContent, /Task 1 of 3/);
+    loadTask(embeddedData, 'QID2', { liveData: false });
+    assert.strictEqual(embeddedData.conjoint_task, '2');
+});
+
+test('unresolved piped text falls back to the defaults', function() {
+    var page = loadTask({}, 'QID1', { pipedText: false, liveData: false });
+    assert.match(page.questionText.textContent, /Task 1 of 5/);
+    assert.doesNotMatch(page.embeddedData.rand_seed, /\$\{/);
+    assert.strictEqual(page.console.error.length, 0);
+});
+
+test('highlighting marks exactly the rows where the profiles differ', function() {
+    var page = loadTask({ rand_seed: 'TEST_9', conjoint_highlight: '1' });
+    var highlighted = 0;
+    var levels = shownLevels(page);
+    for (var attr in levels) {
+        var row = page.container.querySelector('.conjoint-attr-row[data-attribute="' + attr + '"]');
+        assert.strictEqual(row.classList.contains('conjoint-differs'), levels[attr][0] !== levels[attr][1]);
+        highlighted += row.classList.contains('conjoint-differs') ? 1 : 0;
+    }
+    assert.ok(highlighted > 0);
+    assert.strictEqual(page.embeddedData.conjoint_highlight, '1');
+
+    var control = loadTask({ rand_seed: 'TEST_9', conjoint_highlight: '0' });
+    assert.strictEqual(control.container.querySelectorAll('.conjoint-differs').length, 0);
+});
+
+test('choice buttons select the hidden Qualtrics choice', function() {
+    var page = loadTask({ rand_seed: 'TEST_10' }, 'QID1', { choices: 2 });
+    var buttons = page.container.querySelectorAll('.conjoint-table .conjoint-choose');
+    assert.strictEqual(buttons.length, 2);
+    assert.strictEqual(page.container.querySelector('.QuestionBody').style.display, 'none');
+
+    page.fire('.conjoint-choose[data-profile="B"]');
+    assert.strictEqual(page.document.getElementById('QR~QID1~2').checked, true);
+    assert.strictEqual(buttons[1].getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(buttons[0].getAttribute('aria-pressed'), 'false');
+
+    // A choice made outside the buttons shows on them too
+    page.fire('#QR\\~QID1\\~1', 'change');
+    assert.strictEqual(buttons[0].getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(buttons[1].getAttribute('aria-pressed'), 'false');
+});
+
+test('without enough choices the question keeps its own', function() {
+    var page = loadTask({ rand_seed: 'TEST_11' });
+    assert.strictEqual(page.container.querySelector('.conjoint-choose').style.display, 'none');
+    assert.notStrictEqual(page.container.querySelector('.QuestionBody').style.display, 'none');
+    assert.strictEqual(page.console.warn.length, 1);
+});
+
+test('partial profiles show a subset and store the rest as "not shown"', function() {
+    var embeddedData = { rand_seed: 'TEST_12', conjoint_attributes_per_task: '3' };
+    var page = loadTask(embeddedData);
+    var levels = shownLevels(page);
+    var shown = embeddedData.task1_shown.split('|');
+    assert.strictEqual(Object.keys(levels).length, 3);
+    assert.strictEqual(shown.length, 3);
+
+    var differences = 0;
+    var probs = embeddedData.task1_A_probs.split('|');
+    design.attributes.forEach(function(attribute, a) {
+        var isShown = shown.indexOf(attribute.shortName) !== -1;
+        assert.strictEqual(probs[a] === 'not shown', !isShown);
+        assert.strictEqual(attribute.name in levels, isShown);
+        if (isShown) {
+            assert.strictEqual(embeddedData['task1_A_' + attribute.shortName], levels[attribute.name][0]);
+            differences += levels[attribute.name][0] !== levels[attribute.name][1] ? 1 : 0;
+        } else {
+            assert.strictEqual(embeddedData['task1_A_' + attribute.shortName], 'not shown');
+            assert.strictEqual(embeddedData['task1_B_' + attribute.shortName], 'not shown');
+        }
+    });
+    assert.ok(differences >= 1);
+    assert.strictEqual(embeddedData.task1_attr_order.split('|').length, 3);
+
+    var again = loadTask(embeddedData);
+    assert.deepStrictEqual(shownLevels(again), levels);
+    assert.strictEqual(embeddedData.task1_shown, shown.join('|'));
+});
+
+test('tasks that differ only on hidden attributes count as repeats', function() {
+    var spec = ConjointEngine.parseDesign(design);
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    var shown = ['target_type', 'economic_impact'];
+    var first = [[0, 0, 0, 0, 0], [1, 1, 0, 0, 0]];
+    var second = [[1, 1, 2, 1, 2], [0, 0, 1, 2, 1]];
+    assert.strictEqual(engine.taskSignature(first, shown), engine.taskSignature(second, shown));
+    assert.notStrictEqual(engine.taskSignature(first), engine.taskSignature(second));
+});
+
+// Script replacements that turn on the repeated task
+var REPEAT_TASK = [['repeatTask: {\n            enabled: false', 'repeatTask: {\n            enabled: true']];
+
+test('the repeated task shows the source task again, possibly swapped', function() {
+    var swaps = {};
+    for (var s = 0; s < 6; s++) {
+        var embeddedData = { rand_seed: 'TEST_REPEAT' + s, conjoint_n_tasks: '2',
+                             conjoint_attributes_per_task: s % 2 ? '3' : '' };
+        loadTask(embeddedData, 'QID1', { replace: REPEAT_TASK });
+        loadTask(embeddedData, 'QID2', { replace: REPEAT_TASK });
+        var repeat = loadTask(embeddedData, 'QID3', { replace: REPEAT_TASK });
+
+        assert.match(repeat.questionText.textContent, /Task 3 of 3/);
+        assert.strictEqual(embeddedData.conjoint_repeat_task, '3');
+        assert.strictEqual(embeddedData.conjoint_repeat_source, '1');
+        var swapped = embeddedData.conjoint_repeat_swapped === '1';
+        swaps[swapped] = true;
+        design.attributes.forEach(function(attribute) {
+            var source = [embeddedData['task1_A_' + attribute.shortName], embeddedData['task1_B_' + attribute.shortName]];
+            if (swapped) {
+                source.reverse();
+            }
+            assert.strictEqual(embeddedData['task3_A_' + attribute.shortName], source[0]);
+            assert.strictEqual(embeddedData['task3_B_' + attribute.shortName], source[1]);
+        });
+        assert.strictEqual(embeddedData.task3_shown, embeddedData.task1_shown);
+        assert.strictEqual(repeat.console.error.length, 0);
+    }
+    assert.deepStrictEqual(swaps, { true: true, false: true });
+});
+
+test('the repeated task reports a source task that was not shown', function() {
+    // Task 2 was shown on QID2, but the cache has no task 1
+    var embeddedData = {
+        rand_seed: 'TEST_REPEAT',
+        conjoint_n_tasks: '2',
+        conjoint_cache: encodeURIComponent(JSON.stringify({ QID2: { task: 2, profiles: [] } }))
+    };
+    var page = loadTask(embeddedData, 'QID3', { replace: REPEAT_TASK });
+    assert.strictEqual(embeddedData.conjoint_error, 'Repeat task: task 1 has not been shown');
+    assert.strictEqual(page.container.querySelector('.conjoint-table'), null);
+    assert.strictEqual(embeddedData.task3_A_target, undefined);
+});
+
+test('drawn tasks differ on minDifferences attributes and repeat no earlier task', function() {
+    // Three two-level attributes: with minDifferences 3 the profiles of a task
+    // are complements, so there are four possible tasks
+    var spec = ConjointEngine.parseDesign({
+        attributes: [
+            { name: 'size', label: 'Size', levels: ['Small', 'Large'] },
+            { name: 'color', label: 'Color', levels: ['Red', 'Blue'] },
+            { name: 'shape', label: 'Shape', levels: ['Round', 'Square'] }
+        ]
+    });
+    var engine = ConjointEngine.create(spec.design, [], { minDifferences: 3, maxProfileDraws: 1000 });
+    var earlier = [
+        [[0, 0, 0], [1, 1, 1]],
+        [[0, 0, 1], [1, 1, 0]],
+        [[0, 1, 0], [1, 0, 1]]
+    ].map(function(encoded) {
+        return engine.taskSignature(encoded);
+    });
+
+    var redraws = 0;
+    for (var s = 0; s < 20; s++) {
+        var draw = engine.drawTaskProfiles(SeededRandom.create('TEST_UNIQUE' + s), 2, earlier);
+        assert.ok(draw.profiles);
+        assert.strictEqual(engine.countDifferences(draw.profiles[0], draw.profiles[1]), 3);
+        assert.strictEqual(engine.taskSignature(engine.encodeProfiles(draw.profiles)),
+                           engine.taskSignature([[0, 1, 1], [1, 0, 0]]));
+        redraws += draw.redraws;
+    }
+    assert.ok(redraws > 0);
+
+    // Once every task has been used, the draw gives up
+    earlier.push(engine.taskSignature([[0, 1, 1], [1, 0, 0]]));
+    var exhausted = engine.drawTaskProfiles(SeededRandom.create('TEST_UNIQUE'), 2, earlier);
+    assert.strictEqual(exhausted.profiles, null);
+    assert.ok(exhausted.redraws > 1000);
+});
+
+test('log storage writes one conjoint_log entry per task instead of task fields', function() {
+    var embeddedData = { rand_seed: 'TEST_13', conjoint_storage: 'log' };
+    var page = loadTask(embeddedData, 'QID1', { choices: 2 });
+    var levels = shownLevels(page);
+    page.fire('.conjoint-rating[data-profile="A"] input[value="6"]');
+    page.fire('.conjoint-rating[data-profile="B"] input[value="3"]');
+    page.fire('.conjoint-choose[data-profile="A"]');
+    page.submit();
+    loadTask(embeddedData, 'QID2', { choices: 2 }).submit();
+
+    assert.deepStrictEqual(Object.keys(embeddedData).filter(function(name) {
+        return /^task\d/.test(name);
+    }), []);
+
+    var log = JSON.parse(decodeURIComponent(embeddedData.conjoint_log));
+    assert.deepStrictEqual(log.map(function(entry) { return entry.task; }), [1, 2]);
+    assert.strictEqual(log[0].choice, 'A');
+    assert.strictEqual(log[1].choice, null);
+    assert.deepStrictEqual(log[0].ratings, [6, 3]);
+    assert.strictEqual(log[0].order.length, design.attributes.length);
+    assert.strictEqual(log[0].dwell.length, design.attributes.length);
+    assert.strictEqual(typeof log[0].redraws, 'number');
+    assert.strictEqual(typeof log[0].rejections, 'number');
+    var spec = ConjointEngine.parseDesign(design);
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    design.attributes.forEach(function(attribute, a) {
+        assert.strictEqual(attribute.levels[log[0].profiles[0][a]], levels[attribute.name][0]);
+        assert.strictEqual(attribute.levels[log[0].profiles[1][a]], levels[attribute.name][1]);
+        assert.strictEqual(log[0].probs[1][a],
+                           Number(engine.realizedProbabilities(attribute.name)[log[0].profiles[1][a]].toFixed(4)));
+    });
+    assert.deepStrictEqual(log[0].prob, engine.decodeProfiles(log[0].profiles, 2).map(function(profile) {
+        return Number(engine.profileProbability(profile).toPrecision(6));
+    }));
+
+    // Submitting task 1 again replaces its entry and keeps its draw diagnostics
+    var first = log[0];
+    loadTask(embeddedData, 'QID1', { choices: 2 }).submit();
+    log = JSON.parse(decodeURIComponent(embeddedData.conjoint_log));
+    assert.strictEqual(log.length, 2);
+    assert.strictEqual(log[0].redraws, first.redraws);
+    assert.strictEqual(log[0].rejections, first.rejections);
+    assert.deepStrictEqual(log[0].probs, first.probs);
+});
+
+test('placeholders in levels are filled in from embedded data', function() {
+    var templated = JSON.parse(JSON.stringify(design));
+    templated.attributes.forEach(function(attribute) {
+        if (attribute.shortName === 'economic') {
+            attribute.levels = attribute.levels.map(function(level, l) {
+                return l === 0 ? 'Will create {jobs} local jobs in {county}' : level;
+            });
+        }
+    });
+    var headerHTML = '<script type="application/json" id="conjoint-design-json">' + JSON.stringify(templated) + '</script>';
+
+    for (var s = 0; s < 20; s++) {
+        var embeddedData = { rand_seed: 'TEST_14_' + s, respondent_county: 'Bernalillo County', respondent_county_pop: '676444' };
+        var page = loadTask(embeddedData, 'QID1', { headerHTML: headerHTML });
+        var shown = shownLevels(page)[templated.attributes[1].name];
+        var label = shown[0] === 'Will create 340 local jobs in Bernalillo County' ? 'A' :
+                    shown[1] === 'Will create 340 local jobs in Bernalillo County' ? 'B' : null;
+        if (!label) {
+            continue;
+        }
+        assert.strictEqual(embeddedData['task1_' + label + '_economic'], 'Will create {jobs} local jobs in {county}');
+        assert.strictEqual(embeddedData['task1_' + label + '_economic_text'], 'Will create 340 local jobs in Bernalillo County');
+        assert.deepStrictEqual(JSON.parse(embeddedData.conjoint_placeholders), { county: 'Bernalillo County', jobs: '340' });
+        assert.strictEqual(page.container.textContent.indexOf('{'), -1);
+        assert.strictEqual(page.console.warn.join('\n').indexOf('placeholder'), -1);
+        return;
+    }
+    assert.fail('no draw showed the templated level');
+});
+
+test('each profile stores the codes of its levels', function() {
+    var embeddedData = { rand_seed: 'TEST_15' };
+    var page = loadTask(embeddedData);
+    var levels = shownLevels(page);
+    var codes = embeddedData.task1_B_codes.split('|');
+    assert.strictEqual(codes.length, design.attributes.length);
+    design.attributes.forEach(function(attribute, a) {
+        assert.strictEqual(codes[a], attribute.codes[attribute.levels.indexOf(levels[attribute.name][1])]);
+    });
+
+    var partial = { rand_seed: 'TEST_15', conjoint_attributes_per_task: '2' };
+    loadTask(partial);
+    assert.strictEqual(partial.task1_A_codes.split('|').filter(function(code) {
+        return code === 'not shown';
+    }).length, design.attributes.length - 2);
+});
+
+test('levels without codes get positional codes', function() {
+    var spec = ConjointEngine.parseDesign({
+        attributes: [
+            { name: 'size', label: 'Size', levels: ['Small', 'Large'] },
+            { name: 'color', label: 'Color', levels: ['Red', 'Blue'], codes: ['color:red', 'color:red'] }
+        ]
+    });
+    var engine = ConjointEngine.create(spec.design, [], {});
+    assert.strictEqual(engine.checkDesign().length, 1);
+    assert.strictEqual(engine.levelCode('size', 'Large'), 'size:2');
+    assert.strictEqual(engine.levelCode('color', 'Blue'), 'color:2');
+    assert.strictEqual(engine.levelCode('color', 'Green'), null);
+});
+
+test('Q_Lang selects the Spanish text and the stored levels stay in English', function() {
+    var embeddedData = { rand_seed: 'TEST_16', Q_Lang: 'ES', conjoint_highlight: '0' };
+    var page = loadTask(embeddedData);
+    var english = loadTask({ rand_seed: 'TEST_16', Q_Lang: 'EN' });
+
+    assert.match(page.questionText.textContent, /Tarea 1 de 5/);
+    assert.match(page.questionText.textContent, /revise los dos escenarios/);
+    assert.match(page.container.querySelector('.conjoint-table th:nth-child(2)').textContent, /Opción A/);
+    assert.strictEqual(embeddedData.conjoint_locale, 'es');
+
+    var levels = shownLevels(page);
+    design.attributes.forEach(function(attribute) {
+        var row = page.container.querySelector('.conjoint-attr-row[data-attribute="' + attribute.name + '"] th');
+        assert.strictEqual(row.textContent.trim(), attribute.translations.es.label);
+        var stored = embeddedData['task1_A_' + attribute.shortName];
+        assert.strictEqual(levels[attribute.name][0], attribute.translations.es.levels[attribute.levels.indexOf(stored)]);
+    });
+    assert.deepStrictEqual(Object.keys(levels), Object.keys(shownLevels(english)));
+    assert.strictEqual(english.embeddedData.conjoint_locale, 'en');
+});
+
+test('languages without translations are shown in English', function() {
+    var embeddedData = { rand_seed: 'TEST_17', Q_Lang: 'FR' };
+    var page = loadTask(embeddedData);
+    assert.match(page.questionText.textContent, /Task 1 of 5/);
+    assert.strictEqual(embeddedData.conjoint_locale, 'en');
+});
+
+test('the table and cards pass the automated accessibility checks', async function() {
+    var layouts = [
+        loadTask({ rand_seed: 'TEST_18', conjoint_highlight: '1' }, 'QID1', { choices: 2 }),
+        loadTask({ rand_seed: 'TEST_18', conjoint_highlight: '1', Q_Lang: 'ES' }, 'QID1', { choices: 2, width: 400 }),
+        loadTask({ rand_seed: 'TEST_18', conjoint_high_contrast: '1' }, 'QID1', { choices: 2 })
+    ];
+    for (var l = 0; l < layouts.length; l++) {
+        var violations = await layouts[l].checkAccessibility();
+        assert.deepStrictEqual(violations.map(function(violation) {
+            return violation.id + ': ' + violation.nodes[0].html;
+        }), []);
+    }
+
+    var table = layouts[0].container.querySelector('.conjoint-table');
+    assert.match(table.querySelector('caption').textContent, /Task 1 of 5: Option A and Option B/);
+    assert.strictEqual(table.querySelectorAll('thead th[scope="col"]').length, 3);
+    assert.strictEqual(table.querySelectorAll('tbody th[scope="row"]').length, design.attributes.length + 1);
+    var differs = table.querySelector('.conjoint-differs th');
+    assert.match(differs.textContent, /differs between the options/);
+    assert.strictEqual(differs.querySelector('.conjoint-differs-icon').getAttribute('aria-hidden'), 'true');
+    assert.strictEqual(table.querySelector('.conjoint-choose[data-profile="B"]').getAttribute('aria-label'),
+                       'Choose this option (Option B)');
+});
+
+test('arrow keys move between the choice buttons', function() {
+    var page = loadTask({ rand_seed: 'TEST_19' }, 'QID1', { choices: 2 });
+    var buttons = page.container.querySelectorAll('.conjoint-choose');
+    buttons[0].focus();
+    buttons[0].dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    assert.strictEqual(page.document.activeElement, buttons[1]);
+    buttons[1].dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    assert.strictEqual(page.document.activeElement, buttons[1]);
+    buttons[1].dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Home', bubbles: true }));
+    assert.strictEqual(page.document.activeElement, buttons[0]);
+});
+
+test('high contrast follows the system setting and meets 7:1', function() {
+    var embeddedData = { rand_seed: 'TEST_20', conjoint_highlight: '1' };
+    var page = loadTask(embeddedData, 'QID1', { prefersContrast: true });
+    assert.strictEqual(embeddedData.conjoint_high_contrast, '1');
+
+    var standard = loadTask({ rand_seed: 'TEST_20', conjoint_highlight: '1' });
+    assert.strictEqual(standard.embeddedData.conjoint_high_contrast, '0');
+
+    [[page, 7], [standard, 4.5]].forEach(function(check) {
+        var cells = check[0].container.querySelectorAll('.conjoint-table th, .conjoint-table td, .conjoint-highlight-note');
+        for (var c = 0; c < cells.length; c++) {
+            if (!cells[c].textContent.trim()) {
+                continue;
+            }
+            var colors = check[0].colors(cells[c]);
+            assert.ok(harness.contrastRatio(colors.foreground, colors.background) >= check[1],
+                      cells[c].textContent + ': ' + colors.foreground + ' on ' + colors.background);
+        }
+    });
+});
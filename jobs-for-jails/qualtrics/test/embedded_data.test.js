@@ -0,0 +1,30 @@
+// ==============================================================================
+// Jobs for Jails: Tests for embedded_data.js
+// ==============================================================================
+// Run from jobs-for-jails/qualtrics: npm test
+// ==============================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var EmbeddedData = require('../js/embedded_data.js');
+
+test('detects unresolved piped text', function() {
+    assert.strictEqual(EmbeddedData.isUnresolved('${e://Field/respondent_county}'), true);
+    assert.strictEqual(EmbeddedData.isUnresolved('Bernalillo County'), false);
+    assert.strictEqual(EmbeddedData.isUnresolved(''), false);
+});
+
+test('missing and unresolved values give the default', function() {
+    assert.strictEqual(EmbeddedData.get('respondent_county', '${e://Field/respondent_county}', 'your county'), 'your county');
+    assert.strictEqual(EmbeddedData.get('respondent_county', '', 'your county'), 'your county');
+    assert.strictEqual(EmbeddedData.get('respondent_county', 'Bernalillo County', 'your county'), 'Bernalillo County');
+    assert.strictEqual(EmbeddedData.get('rand_seed', '${e://Field/rand_seed}'), '');
+});
+
+test('values take the type of the default', function() {
+    assert.strictEqual(EmbeddedData.get('conjoint_n_tasks', '8', 5), 8);
+    assert.strictEqual(EmbeddedData.get('conjoint_n_tasks', 'eight', 5), 5);
+    assert.strictEqual(EmbeddedData.get('flag', '1', false), true);
+    assert.strictEqual(EmbeddedData.get('flag', 'no', true), false);
+    assert.strictEqual(EmbeddedData.get('flag', 'maybe', true), true);
+});
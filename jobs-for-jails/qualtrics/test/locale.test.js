@@ -0,0 +1,31 @@
+// ==============================================================================
+// Jobs for Jails: Tests for locale.js
+// ==============================================================================
+// Run from jobs-for-jails/qualtrics: npm test
+// ==============================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Locale = require('../js/locale.js');
+
+var strings = {
+    en: { greeting: "Hello, {name}", farewell: "Goodbye", numbers: ['zero', 'one'] },
+    es: { greeting: "Hola, {name}" }
+};
+
+test('picks the locale from the Qualtrics language code', function() {
+    assert.strictEqual(Locale.pick('ES', strings), 'es');
+    assert.strictEqual(Locale.pick('ES-ES', strings), 'es');
+    assert.strictEqual(Locale.pick('EN-GB', strings), 'en');
+    assert.strictEqual(Locale.pick('FR', strings), 'en');
+    assert.strictEqual(Locale.pick('', strings), 'en');
+});
+
+test('looks up strings with an English fallback', function() {
+    var t = Locale.translator(strings, 'es');
+    assert.strictEqual(t('greeting', { name: 'Ana' }), 'Hola, Ana');
+    assert.strictEqual(t('farewell'), 'Goodbye');
+    assert.deepStrictEqual(t('numbers'), ['zero', 'one']);
+    assert.strictEqual(t('missing'), 'missing');
+    assert.strictEqual(Locale.format('{a} and {b}', { a: 1 }), '1 and {b}');
+});
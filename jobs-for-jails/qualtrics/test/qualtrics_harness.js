@@ -0,0 +1,293 @@
+// ==============================================================================
+// Jobs for Jails: Local Qualtrics Test Harness
+// ==============================================================================
+// Purpose: Run the Qualtrics question scripts under Node with a stub SurveyEngine
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// Loads a question script into a jsdom page that mimics a Qualtrics question:
+//   - piped text ("${e://Field/x}") is replaced with embedded data before the
+//     script runs, as Qualtrics does when it renders the page
+//   - Qualtrics.SurveyEngine provides addOnload / addOnReady / addOnUnload /
+//     addOnPageSubmit and setEmbeddedData / getEmbeddedData
+//   - `this` in the handlers has questionId, getQuestionContainer(), the
+//     Next button methods and getChoices / getChoiceValue / setChoiceValue
+//   - page.checkAccessibility() runs the axe-core WCAG checks on the question
+//
+// Requires jsdom and axe-core, pinned in package.json (npm install, in
+// jobs-for-jails/qualtrics).
+//
+//   var harness = require('./qualtrics_harness.js');
+//   var page = harness.loadQuestion({
+//       script: 'js/twitter_simulation.js',
+//       header: ['js/embedded_data.js'],
+//       embeddedData: { twitter_treatment: 'detention_jobs' }
+//   });
+//   page.embeddedData.twitter_treatment_shown;   // 'detention_jobs'
+//   page.submit();                                // page submit + unload
+//
+// Embedded data is a plain object that the script writes into; pass the same
+// object to the next loadQuestion() call to carry it to a later page.
+//
+// ==============================================================================
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var QUALTRICS_DIR = path.join(__dirname, '..');
+
+// ==============================================================================
+// PIPED TEXT
+// ==============================================================================
+
+// Replace ${e://Field/name} with the field's value ('' if unset). Like
+// Qualtrics, the value is inserted as is, so quotes in it break the string.
+function pipeText(source, embeddedData) {
+    return source.replace(/\$\{e:\/\/Field\/([^}]+)\}/g, function(match, name) {
+        var value = embeddedData[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// ==============================================================================
+// PAGE
+// ==============================================================================
+
+// Markup of a question: text plus, for multiple choice, one radio per choice
+function questionHTML(questionId, nChoices) {
+    var choices = '';
+    for (var c = 1; c <= nChoices; c++) {
+        var id = 'QR~' + questionId + '~' + c;
+        choices += '<li class="Selection">' +
+            '<input type="radio" class="radio" id="' + id + '" name="QR~' + questionId + '" value="' + id + '">' +
+            '<label class="SingleAnswer" for="' + id + '">Option ' + c + '</label></li>';
+    }
+    return '<div class="QuestionOuter" id="' + questionId + '">' +
+        '<div class="QuestionText"></div>' +
+        '<div class="QuestionBody">' +
+        (nChoices ? '<ul class="ChoiceStructure">' + choices + '</ul>' : '') +
+        '</div></div>';
+}
+
+function readScript(file) {
+    return fs.readFileSync(path.resolve(QUALTRICS_DIR, file), 'utf8');
+}
+
+// ==============================================================================
+// ACCESSIBILITY
+// ==============================================================================
+
+// WCAG rules checked by checkAccessibility(). jsdom does not render, so
+// axe-core cannot measure color contrast; use contrastRatio() for that.
+var AXE_OPTIONS = {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+// [r, g, b] of a CSS color ("#rgb", "#rrggbb" or "rgb(r, g, b)")
+function parseColor(color) {
+    var hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        var digits = hex[1].length === 3 ? hex[1].replace(/(.)/g, '$1$1') : hex[1];
+        return [0, 2, 4].map(function(i) {
+            return parseInt(digits.slice(i, i + 2), 16);
+        });
+    }
+    var rgb = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color);
+    if (rgb) {
+        return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+    }
+    throw new Error('Unsupported color ' + color);
+}
+
+function luminance(color) {
+    var channels = parseColor(color).map(function(value) {
+        var c = value / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+}
+
+// WCAG contrast ratio of two colors (1 to 21)
+function contrastRatio(foreground, background) {
+    var a = luminance(foreground);
+    var b = luminance(background);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// ==============================================================================
+// LOAD A QUESTION
+// ==============================================================================
+
+// options:
+//   script        question JavaScript, relative to jobs-for-jails/qualtrics
+//   header        scripts loaded in Look & Feel -> Header, in order
+//   headerHTML    extra markup for the header (e.g. a design JSON element)
+//   embeddedData  object of embedded data fields (written to by the script)
+//   questionId    defaults to 'QID1'
+//   choices       number of multiple-choice radios in the question (0)
+//   width         window.innerWidth in pixels (1024)
+//   preview       set the Q_CHL field to "preview"
+//   pipedText     false leaves ${e://Field/...} unresolved
+//   liveData      false removes getEmbeddedData (older Qualtrics pages)
+//   prefersContrast  true matches the (prefers-contrast: more) media query
+//   replace       [[from, to], ...] text replacements in the question script
+//                 before it runs, e.g. to change a setting
+function loadQuestion(options) {
+    var embeddedData = options.embeddedData || {};
+    if (options.preview) {
+        embeddedData.Q_CHL = 'preview';
+    }
+    var questionId = options.questionId || 'QID1';
+    var handlers = { load: [], ready: [], submit: [], unload: [] };
+    var nextButton = { enabled: true, visible: true, clicks: 0 };
+    var messages = { log: [], warn: [], error: [] };
+
+    var dom = new JSDOM('<!DOCTYPE html><html><head>' + (options.headerHTML || '') + '</head><body>' +
+        '<div id="Questions">' + questionHTML(questionId, options.choices || 0) + '</div>' +
+        '<button id="NextButton">Next</button></body></html>',
+        { runScripts: 'outside-only', pretendToBeVisual: true });
+    var window = dom.window;
+
+    window.innerWidth = options.width || 1024;
+    window.matchMedia = function(query) {
+        var max = /max-width:\s*(\d+)px/.exec(query);
+        var matches = max ? window.innerWidth <= Number(max[1]) :
+                      /prefers-contrast:\s*more/.test(query) && Boolean(options.prefersContrast);
+        return { matches: matches, media: query };
+    };
+    ['log', 'warn', 'error'].forEach(function(level) {
+        window.console[level] = function() {
+            messages[level].push(Array.prototype.join.call(arguments, ' '));
+        };
+    });
+
+    window.Qualtrics = {
+        SurveyEngine: {
+            addOnload: function(fn) { handlers.load.push(fn); },
+            addOnReady: function(fn) { handlers.ready.push(fn); },
+            addOnUnload: function(fn) { handlers.unload.push(fn); },
+            addOnPageSubmit: function(fn) { handlers.submit.push(fn); },
+            setEmbeddedData: function(name, value) { embeddedData[name] = String(value); },
+            getEmbeddedData: function(name) { return embeddedData[name]; }
+        }
+    };
+    if (options.liveData === false) {
+        delete window.Qualtrics.SurveyEngine.getEmbeddedData;
+    }
+
+    var container = window.document.getElementById(questionId);
+    var question = {
+        questionId: questionId,
+        getQuestionContainer: function() { return container; },
+        getQuestionTextContainer: function() { return container.querySelector('.QuestionText'); },
+        disableNextButton: function() { nextButton.enabled = false; },
+        enableNextButton: function() { nextButton.enabled = true; },
+        hideNextButton: function() { nextButton.visible = false; },
+        showNextButton: function() { nextButton.visible = true; },
+        clickNextButton: function() { nextButton.clicks++; },
+
+        // Multiple-choice API: choice ids are '1', '2', ... as in Qualtrics
+        getChoices: function() {
+            var ids = [];
+            for (var c = 1; c <= (options.choices || 0); c++) {
+                ids.push(String(c));
+            }
+            return ids;
+        },
+        getChoiceValue: function(choiceId) {
+            var input = window.document.getElementById('QR~' + questionId + '~' + choiceId);
+            return Boolean(input && input.checked);
+        },
+        setChoiceValue: function(choiceId, value) {
+            var input = window.document.getElementById('QR~' + questionId + '~' + choiceId);
+            if (input) {
+                input.checked = Boolean(value);
+                input.dispatchEvent(new window.Event('change', { bubbles: true }));
+            }
+        }
+    };
+
+    (options.header || []).forEach(function(file) {
+        window.eval(readScript(file));
+    });
+    var source = readScript(options.script);
+    (options.replace || []).forEach(function(pair) {
+        if (source.indexOf(pair[0]) === -1) {
+            throw new Error(options.script + ' does not contain ' + pair[0]);
+        }
+        source = source.split(pair[0]).join(pair[1]);
+    });
+    window.eval(options.pipedText === false ? source : pipeText(source, embeddedData));
+
+    function run(list, args) {
+        list.forEach(function(fn) {
+            fn.apply(question, args || []);
+        });
+    }
+
+    run(handlers.load);
+    run(handlers.ready);
+
+    return {
+        window: window,
+        document: window.document,
+        container: container,
+        questionText: container.querySelector('.QuestionText'),
+        embeddedData: embeddedData,
+        nextButton: nextButton,
+        console: messages,
+
+        // Page submit (Next) followed by unload, as when leaving the page
+        submit: function(type) {
+            run(handlers.submit, [type || 'next']);
+            run(handlers.unload);
+        },
+
+        // Dispatch a DOM event (default 'click') on the first match of selector
+        fire: function(selector, type) {
+            var element = container.querySelector(selector) || window.document.querySelector(selector);
+            if (!element) {
+                throw new Error('No element matches ' + selector);
+            }
+            if (!type || type === 'click') {
+                element.click();
+            } else {
+                if (type === 'change') {
+                    element.checked = true;
+                }
+                element.dispatchEvent(new window.Event(type, { bubbles: true }));
+            }
+            return element;
+        },
+
+        // Promise of the axe-core WCAG A/AA violations in the question
+        checkAccessibility: function() {
+            if (!window.axe) {
+                window.eval(require('axe-core').source);
+            }
+            return window.axe.run(container, AXE_OPTIONS).then(function(results) {
+                return Array.prototype.slice.call(results.violations);
+            });
+        },
+
+        // Text color and background of an element, from the inline styles of
+        // the element and its ancestors (black on white if none are set)
+        colors: function(element) {
+            var foreground = null;
+            var background = null;
+            for (var node = element; node && node.style; node = node.parentElement) {
+                foreground = foreground || node.style.color || null;
+                background = background || node.style.backgroundColor || null;
+            }
+            return { foreground: foreground || '#000000', background: background || '#ffffff' };
+        }
+    };
+}
+
+module.exports = {
+    pipeText: pipeText,
+    contrastRatio: contrastRatio,
+    loadQuestion: loadQuestion
+};
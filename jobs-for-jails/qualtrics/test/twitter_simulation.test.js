@@ -0,0 +1,80 @@
+// ==============================================================================
+// Jobs for Jails: Tests for twitter_simulation.js
+// ==============================================================================
+// Run from jobs-for-jails/qualtrics: npm test
+// ==============================================================================
+
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./qualtrics_harness.js');
+
+function loadTweet(embeddedData) {
+    return harness.loadQuestion({
+        script: 'js/twitter_simulation.js',
+        header: ['js/embedded_data.js', 'js/locale.js'],
+        embeddedData: embeddedData
+    });
+}
+
+test('shows the assigned treatment with the respondent county', function() {
+    var page = loadTweet({ twitter_treatment: 'detention_jobs', respondent_county: 'Bernalillo County' });
+    var text = page.container.querySelector('.tweet-text').textContent;
+
+    assert.match(text, /Bernalillo County/);
+    assert.match(text, /350 permanent jobs/);
+    assert.strictEqual(page.embeddedData.twitter_treatment_shown, 'detention_jobs');
+    assert.strictEqual(page.embeddedData.twitter_tweet_text, text.trim());
+});
+
+test('falls back to the default tweet and "your county"', function() {
+    var page = loadTweet({});
+    var text = page.container.querySelector('.tweet-text').textContent;
+
+    assert.match(text, /ICE detention center in your county/);
+    assert.doesNotMatch(text, /\[COUNTY\]/);
+    assert.strictEqual(page.embeddedData.twitter_treatment_shown, 'detention_no_jobs');
+});
+
+test('unresolved piped text does not leak into the tweet', function() {
+    var page = harness.loadQuestion({
+        script: 'js/twitter_simulation.js',
+        header: ['js/embedded_data.js', 'js/locale.js'],
+        pipedText: false,
+        liveData: false
+    });
+    var text = page.container.querySelector('.tweet-text').textContent;
+
+    assert.match(text, /in your county/);
+    assert.doesNotMatch(text, /\$\{/);
+    assert.strictEqual(page.embeddedData.twitter_treatment_shown, 'detention_no_jobs');
+});
+
+test('buttons toggle their embedded-data fields', function() {
+    var page = loadTweet({ twitter_treatment: 'processing_no_jobs' });
+
+    page.fire('#btn-like');
+    assert.strictEqual(page.embeddedData.twitter_liked, '1');
+    assert.strictEqual(page.document.getElementById('btn-like').getAttribute('data-active'), 'true');
+    page.fire('#btn-like');
+    assert.strictEqual(page.embeddedData.twitter_liked, '0');
+
+    page.fire('#btn-repost');
+    page.fire('#btn-bookmark');
+    page.fire('#btn-reply');
+    assert.strictEqual(page.embeddedData.twitter_reposted, '1');
+    assert.strictEqual(page.embeddedData.twitter_bookmarked, '1');
+    assert.strictEqual(page.embeddedData.twitter_replied, '1');
+});
+
+test('Q_Lang selects the Spanish tweet and buttons', function() {
+    var page = loadTweet({ twitter_treatment: 'detention_jobs', Q_Lang: 'ES' });
+    var text = page.container.querySelector('.tweet-text').textContent;
+
+    assert.match(text, /ÚLTIMA HORA/);
+    assert.match(text, /centro de detención de ICE en su condado/);
+    assert.strictEqual(page.document.getElementById('btn-like').textContent.trim(), 'Me gusta');
+    assert.strictEqual(page.document.getElementById('btn-bookmark').textContent.trim(), 'Guardar');
+    assert.strictEqual(page.embeddedData.twitter_locale, 'es');
+    assert.strictEqual(page.embeddedData.twitter_treatment_shown, 'detention_jobs');
+    assert.strictEqual(page.embeddedData.twitter_tweet_text, text.trim());
+});
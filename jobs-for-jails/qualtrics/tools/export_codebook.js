@@ -0,0 +1,131 @@
+// ==============================================================================
+// Jobs for Jails: Conjoint Codebook Export
+// ==============================================================================
+// Purpose: Map the stable level codes of the conjoint design to their labels
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// conjoint.js stores a code for every level shown (taskN_A_codes), so a level
+// whose wording was edited mid-field keeps one code. This writes a CSV with
+// one row per design and level:
+//
+//   design_id, attribute, short_name, attribute_label, code, level_index, level
+//
+// Pass every design version that was fielded to map the codes of all of them;
+// the analysis joins on `code` and picks the wording it reports. Wording that
+// changed between versions is listed on stderr, and the export fails if one
+// wording has different codes in different versions (it would be split into
+// two levels).
+//
+// Usage (from the jobs-for-jails directory):
+//   node qualtrics/tools/export_codebook.js [options]
+//
+// Options:
+//   --design <file>   design JSON, may be repeated (qualtrics/conjoint_design.json)
+//   --out <file>      CSV file to write (standard output)
+//
+// ==============================================================================
+
+var fs = require('fs');
+var path = require('path');
+var ConjointEngine = require('../js/conjoint_engine.js');
+
+// ==============================================================================
+// OPTIONS
+// ==============================================================================
+
+var options = {
+    design: [],
+    out: ''
+};
+
+var argv = process.argv.slice(2);
+for (var i = 0; i < argv.length; i += 2) {
+    var key = argv[i].replace(/^--/, '');
+    if (!(key in options) || argv[i + 1] === undefined) {
+        console.error('Unknown or incomplete option: ' + argv[i]);
+        process.exit(1);
+    }
+    if (Array.isArray(options[key])) {
+        options[key].push(argv[i + 1]);
+    } else {
+        options[key] = argv[i + 1];
+    }
+}
+if (options.design.length === 0) {
+    options.design.push(path.join(__dirname, '..', 'conjoint_design.json'));
+}
+
+// ==============================================================================
+// CODEBOOK
+// ==============================================================================
+
+var rows = [];
+options.design.forEach(function(file) {
+    var spec = ConjointEngine.parseDesign(JSON.parse(fs.readFileSync(file, 'utf8')));
+    var engine = ConjointEngine.create(spec.design, spec.restrictions, {});
+    engine.checkDesign().forEach(function(warning) {
+        console.warn('Design warning (' + (spec.id || file) + '): ' + warning);
+    });
+
+    engine.attributes.forEach(function(attr) {
+        spec.design[attr].levels.forEach(function(level, l) {
+            rows.push({
+                design_id: spec.id || path.basename(file, '.json'),
+                attribute: attr,
+                short_name: spec.design[attr].shortName || attr,
+                attribute_label: spec.design[attr].label,
+                code: engine.levelCode(attr, level),
+                level_index: l + 1,
+                level: level
+            });
+        });
+    });
+});
+
+// Wording changes (expected) and wordings with more than one code (not)
+var wordingByCode = {};
+var codeByWording = {};
+var conflicts = 0;
+rows.forEach(function(row) {
+    var seen = wordingByCode[row.code];
+    if (seen && seen.level !== row.level) {
+        console.warn('Wording of ' + row.code + ' changed: "' + seen.level + '" (' + seen.design_id +
+                     ') -> "' + row.level + '" (' + row.design_id + ')');
+    }
+    wordingByCode[row.code] = row;
+
+    var wording = row.attribute + '\u0000' + row.level;
+    var other = codeByWording[wording];
+    if (other && other.code !== row.code) {
+        console.error('"' + row.level + '" is ' + other.code + ' in ' + other.design_id + ' but ' +
+                      row.code + ' in ' + row.design_id);
+        conflicts++;
+    }
+    codeByWording[wording] = row;
+});
+
+// ==============================================================================
+// OUTPUT
+// ==============================================================================
+
+var COLUMNS = ['design_id', 'attribute', 'short_name', 'attribute_label', 'code', 'level_index', 'level'];
+
+function csvField(value) {
+    var text = String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+var csv = [COLUMNS.join(',')].concat(rows.map(function(row) {
+    return COLUMNS.map(function(column) {
+        return csvField(row[column]);
+    }).join(',');
+})).join('\n') + '\n';
+
+if (options.out) {
+    fs.writeFileSync(options.out, csv);
+} else {
+    process.stdout.write(csv);
+}
+
+process.exit(conflicts > 0 ? 1 : 0);
@@ -0,0 +1,270 @@
+// ==============================================================================
+// Jobs for Jails: Conjoint Design Simulator
+// ==============================================================================
+// Purpose: Check the conjoint randomization before fielding
+// Author: Charles Crabtree
+// ==============================================================================
+//
+// Draws virtual respondents with the same engine, seeds and task sequence as
+// qualtrics/js/conjoint.js and reports:
+//   - marginal level frequencies (observed vs. nominal and realized probability)
+//   - pairwise level co-occurrence within profiles
+//   - with partial profiles, how often each attribute is shown
+//   - restriction violations (should all be zero)
+//   - attribute-position balance of the row order
+//   - redraw / rejection diagnostics
+// With partial profiles, frequencies count shown attributes only.
+//
+// Usage (from the jobs-for-jails directory):
+//   node qualtrics/tools/simulate_conjoint.js [options]
+//
+// Options (defaults match conjointSettings in conjoint.js):
+//   --design <file>          design JSON (qualtrics/conjoint_design.json)
+//   --respondents <n>        virtual respondents (5000)
+//   --tasks <n>              tasks per respondent (5)
+//   --profiles <n>           profiles per task (2)
+//   --min-differences <n>    minDifferences (1)
+//   --max-draws <n>          maxProfileDraws (1000)
+//   --order-mode <mode>      attributeOrderMode: respondent or task (respondent)
+//   --attributes-per-task <m> attributesPerTask, partial profiles (0 = all)
+//   --seed-prefix <text>     respondent i gets seed <text><i> (SIM_)
+//
+// ==============================================================================
+
+var fs = require('fs');
+var path = require('path');
+var SeededRandom = require('../js/seeded_random.js');
+var ConjointEngine = require('../js/conjoint_engine.js');
+
+// ==============================================================================
+// OPTIONS
+// ==============================================================================
+
+var options = {
+    design: path.join(__dirname, '..', 'conjoint_design.json'),
+    respondents: 5000,
+    tasks: 5,
+    profiles: 2,
+    minDifferences: 1,
+    maxDraws: 1000,
+    orderMode: 'respondent',
+    attributesPerTask: 0,
+    seedPrefix: 'SIM_'
+};
+
+var argv = process.argv.slice(2);
+for (var i = 0; i < argv.length; i += 2) {
+    var key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, function(m, c) {
+        return c.toUpperCase();
+    });
+    if (!(key in options) || argv[i + 1] === undefined) {
+        console.error('Unknown or incomplete option: ' + argv[i]);
+        process.exit(1);
+    }
+    options[key] = typeof options[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+}
+
+// ==============================================================================
+// SIMULATION
+// ==============================================================================
+
+var spec = ConjointEngine.parseDesign(JSON.parse(fs.readFileSync(options.design, 'utf8')));
+var engine = ConjointEngine.create(spec.design, spec.restrictions, {
+    maxProfileDraws: options.maxDraws,
+    minDifferences: options.minDifferences
+});
+var attributes = engine.attributes;
+var partialProfiles = options.attributesPerTask > 0 && options.attributesPerTask < attributes.length;
+
+var warnings = engine.checkDesign();
+for (var w = 0; w < warnings.length; w++) {
+    console.warn('Design warning: ' + warnings[w]);
+}
+
+// Tallies
+var levelCounts = {};
+var positionCounts = {};
+var pairCounts = {};
+var violations = {};
+var shownCounts = {};
+var totals = { profiles: 0, tasks: 0, failures: 0, redraws: 0, rejections: 0, maxRedraws: 0 };
+
+attributes.forEach(function(attr) {
+    levelCounts[attr] = {};
+    spec.design[attr].levels.forEach(function(level) {
+        levelCounts[attr][level] = 0;
+    });
+    positionCounts[attr] = attributes.map(function() {
+        return 0;
+    });
+    shownCounts[attr] = 0;
+});
+spec.restrictions.forEach(function(rule) {
+    violations[rule.id] = 0;
+});
+
+function pairKey(a, b) {
+    return a + '\u0000' + b;
+}
+
+// Tally the shown attributes of a profile; restrictions apply to all of them
+function tallyProfile(profile, shown) {
+    totals.profiles++;
+    for (var a = 0; a < attributes.length; a++) {
+        if (shown.indexOf(attributes[a]) === -1) {
+            continue;
+        }
+        levelCounts[attributes[a]][profile[attributes[a]]]++;
+        for (var b = a + 1; b < attributes.length; b++) {
+            if (shown.indexOf(attributes[b]) === -1) {
+                continue;
+            }
+            var key = pairKey(attributes[a], attributes[b]);
+            var cell = pairKey(profile[attributes[a]], profile[attributes[b]]);
+            pairCounts[key] = pairCounts[key] || {};
+            pairCounts[key][cell] = (pairCounts[key][cell] || 0) + 1;
+        }
+    }
+    engine.violatedRules(profile).forEach(function(id) {
+        violations[id]++;
+    });
+}
+
+for (var r = 1; r <= options.respondents; r++) {
+    var seed = options.seedPrefix + r;
+    var signatures = [];
+    var respondentOrder = engine.drawAttributeOrder(SeededRandom.create(seed + ':conjoint:order'));
+
+    for (var t = 1; t <= options.tasks; t++) {
+        // Same stream and call sequence as conjoint.js
+        var rng = SeededRandom.create(seed + ':conjoint:' + t);
+        var shown = partialProfiles ?
+            engine.drawAttributeSubset(SeededRandom.create(seed + ':conjoint:' + t + ':shown'), options.attributesPerTask) :
+            attributes;
+        var draw = engine.drawTaskProfiles(rng, options.profiles, signatures, shown);
+        var order = (options.orderMode === 'task' ? engine.drawAttributeOrder(rng) : respondentOrder).filter(function(attr) {
+            return shown.indexOf(attr) !== -1;
+        });
+
+        totals.tasks++;
+        totals.redraws += draw.redraws;
+        totals.rejections += draw.rejections;
+        totals.maxRedraws = Math.max(totals.maxRedraws, draw.redraws);
+        if (!draw.profiles) {
+            totals.failures++;
+            continue;
+        }
+
+        signatures.push(engine.taskSignature(engine.encodeProfiles(draw.profiles), shown));
+        draw.profiles.forEach(function(profile) {
+            tallyProfile(profile, shown);
+        });
+        order.forEach(function(attr, position) {
+            positionCounts[attr][position]++;
+            shownCounts[attr]++;
+        });
+    }
+}
+
+// ==============================================================================
+// REPORT
+// ==============================================================================
+
+function pct(x) {
+    return (100 * x).toFixed(1) + '%';
+}
+
+function pad(text, width) {
+    text = String(text);
+    return text.length >= width ? text.slice(0, width - 2) + '… ' : text + new Array(width - text.length + 1).join(' ');
+}
+
+console.log('==== CONJOINT DESIGN SIMULATION ====\n');
+console.log('Design:        ' + (spec.id || options.design));
+console.log('Respondents:   ' + options.respondents + ' x ' + options.tasks + ' tasks x ' +
+            options.profiles + ' profiles');
+console.log('Order mode:    ' + options.orderMode);
+if (partialProfiles) {
+    console.log('Shown:         ' + options.attributesPerTask + ' of ' + attributes.length + ' attributes per task');
+}
+console.log('Profiles:      ' + totals.profiles);
+
+console.log('\n==== MARGINAL LEVEL FREQUENCIES ====');
+console.log('(nominal = draw probability before restrictions, realized = under the restrictions,\n' +
+            ' as stored in taskN_A_probs)\n');
+attributes.forEach(function(attr) {
+    console.log(attr + ':');
+    var nominal = engine.levelProbabilities(attr);
+    var realized = engine.realizedProbabilities(attr);
+    var timesShown = 0;
+    spec.design[attr].levels.forEach(function(level) {
+        timesShown += levelCounts[attr][level];
+    });
+    spec.design[attr].levels.forEach(function(level, k) {
+        var share = timesShown ? levelCounts[attr][level] / timesShown : 0;
+        console.log('  ' + pad(level, 56) + pad(pct(share), 8) + 'nominal ' + pad(pct(nominal[k]), 8) +
+                    'realized ' + pct(realized[k]));
+    });
+    console.log('');
+});
+
+console.log('==== PAIRWISE LEVEL CO-OCCURRENCE ====');
+console.log('(share of profiles showing both; "never" marks combinations that did not occur)\n');
+for (var a = 0; a < attributes.length; a++) {
+    for (var b = a + 1; b < attributes.length; b++) {
+        var counts = pairCounts[pairKey(attributes[a], attributes[b])] || {};
+        var pairTotal = 0;
+        for (var cell in counts) {
+            pairTotal += counts[cell];
+        }
+        console.log(attributes[a] + ' x ' + attributes[b] + ':');
+        spec.design[attributes[a]].levels.forEach(function(levelA) {
+            spec.design[attributes[b]].levels.forEach(function(levelB) {
+                var n = counts[pairKey(levelA, levelB)] || 0;
+                console.log('  ' + pad(levelA, 36) + pad(levelB, 36) +
+                            (n ? pct(n / pairTotal) : 'never'));
+            });
+        });
+        console.log('');
+    }
+}
+
+console.log('==== RESTRICTION VIOLATIONS ====\n');
+if (spec.restrictions.length === 0) {
+    console.log('  (no restrictions)');
+}
+spec.restrictions.forEach(function(rule) {
+    console.log('  ' + pad(rule.id, 48) + violations[rule.id] + (violations[rule.id] ? '  <-- VIOLATED' : ''));
+});
+
+if (partialProfiles) {
+    console.log('\n==== ATTRIBUTE INCLUSION ====');
+    console.log('(share of tasks showing the attribute; expected ' +
+                pct(options.attributesPerTask / attributes.length) + ')\n');
+    attributes.forEach(function(attr) {
+        console.log('  ' + pad(attr, 24) + pct(shownCounts[attr] / (totals.tasks - totals.failures)));
+    });
+}
+
+console.log('\n==== ATTRIBUTE-POSITION BALANCE ====');
+var nRows = partialProfiles ? options.attributesPerTask : attributes.length;
+console.log('(share of the tasks showing the attribute with it in each row; expected ' + pct(1 / nRows) + ')\n');
+attributes.forEach(function(attr) {
+    var shares = positionCounts[attr].slice(0, nRows).map(function(n) {
+        return shownCounts[attr] ? n / shownCounts[attr] : 0;
+    });
+    console.log('  ' + pad(attr, 24) + shares.map(function(x) {
+        return pad(pct(x), 8);
+    }).join(''));
+});
+
+console.log('\n==== DRAW DIAGNOSTICS ====\n');
+console.log('  Mean redraws per task:     ' + (totals.redraws / totals.tasks).toFixed(3) +
+            ' (max ' + totals.maxRedraws + ')');
+console.log('  Mean rejections per task:  ' + (totals.rejections / totals.tasks).toFixed(3));
+console.log('  Tasks that failed to draw: ' + totals.failures);
+
+var violated = Object.keys(violations).some(function(id) {
+    return violations[id] > 0;
+});
+process.exit(violated || totals.failures > 0 ? 1 : 0);